@@ -0,0 +1,190 @@
+// account.js
+// Customer account portal, mounted at /api/account. Customers sign in with an
+// emailed magic link (see accounts.js), then see and manage every license
+// registered to their email address, sending the session token as
+// "Authorization: Bearer <token>".
+const express = require("express");
+
+const store = require("./store.js");
+const accounts = require("./accounts.js");
+const teams = require("./teams.js");
+const { graceEnd } = require("./license.js");
+const { getPlanByLicensePlan } = require("./plans.js");
+const { maxActivationsFor, isValidDeviceId, activateDevice } = require("./devices.js");
+const { logger } = require("./logger.js");
+const { sendLoginLinkEmail, sendLicenseKeysEmail } = require("./mailer.js");
+
+const router = express.Router();
+
+function isValidEmail(email) {
+  return typeof email === "string" && email.includes("@") && email.trim().length <= 254;
+}
+
+// Status, expiry and devices of a license, as the account portal shows it
+function describeLicense(stored) {
+  const { license, metadata } = stored;
+  const plan = getPlanByLicensePlan(license.plan);
+  const now = new Date();
+  const expired = Boolean(license.expiresAt) && new Date(license.expiresAt) < now;
+  const graceUntil = expired ? graceEnd(license.expiresAt) : null;
+
+  return {
+    licenseKey: stored.key,
+    plan: license.plan,
+    planName: plan ? plan.name : license.plan,
+    name: license.name,
+    email: license.email,
+    status: stored.status || "active",
+    statusReason: stored.statusReason || null,
+    purchasedAt: license.purchasedAt,
+    expiresAt: license.expiresAt,
+    expired,
+    graceUntil: graceUntil && graceUntil > now ? graceUntil.toISOString() : null,
+    team: teams.isOwner(stored) ? "owner" : metadata.parentKey ? "member" : null,
+    activations: store.getActivations(stored.key),
+    maxActivations: maxActivationsFor(license.plan),
+  };
+}
+
+// Email a magic link. The response is the same whether or not the address
+// has licenses, and is sent before the mail goes out, so neither it nor its
+// timing can be used to probe for customers.
+router.post("/login", (req, res) => {
+  const { email } = req.body;
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ ok: false, error: "Valid email required" });
+  }
+
+  res.json({ ok: true });
+  if (!store.getLicensesByEmail(email).length) return;
+  sendLoginLinkEmail(email.trim(), accounts.createLoginLink(email)).catch((error) => {
+    logger.error("Account login link error", { error });
+  });
+});
+
+// Exchange a magic link's token for a session token
+router.post("/session", (req, res) => {
+  const { token } = req.body;
+  const session = typeof token === "string" ? accounts.startSession(token) : null;
+  if (!session) {
+    return res.status(401).json({ ok: false, error: "Login link is invalid, used or expired" });
+  }
+  res.json({ ok: true, ...session });
+});
+
+// Everything below needs a session
+router.use((req, res, next) => {
+  const header = req.headers.authorization || "";
+  const session = header.startsWith("Bearer ") && accounts.verifySession(header.slice("Bearer ".length).trim());
+  if (!session) {
+    return res.status(401).json({ ok: false, error: "Sign in required" });
+  }
+  req.account = session;
+  next();
+});
+
+// A license registered to the signed-in address; anyone else's looks missing
+function findOwnLicense(req, res) {
+  const stored = store.getLicenseByKey(req.params.key);
+  if (!stored || (stored.license.email || "").toLowerCase() !== req.account.email) {
+    res.status(404).json({ ok: false, error: "License not found" });
+    return null;
+  }
+  return stored;
+}
+
+// Every license registered to the address
+router.get("/licenses", (req, res) => {
+  res.json({
+    ok: true,
+    email: req.account.email,
+    licenses: store.getLicensesByEmail(req.account.email).map(describeLicense),
+  });
+});
+
+router.get("/licenses/:key", (req, res) => {
+  const stored = findOwnLicense(req, res);
+  if (!stored) return;
+  res.json({ ok: true, license: describeLicense(stored) });
+});
+
+// Activate a device (`deviceId`, optional `deviceName`) and return its
+// device-bound token, for offline activation. It counts against the plan's
+// activation limit like /api/license/activate.
+router.post("/licenses/:key/token", (req, res) => {
+  try {
+    const stored = findOwnLicense(req, res);
+    if (!stored) return;
+    const { deviceId, deviceName } = req.body;
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ ok: false, error: "Device ID required" });
+    }
+
+    const result = activateDevice(stored, deviceId, deviceName);
+    if (!result.ok) {
+      return res.status(403).json(result);
+    }
+    store.recordLicenseEvent("license.activated", stored.key, { deviceId });
+    res.json({ ok: true, licenseKey: stored.key, ...result });
+  } catch (error) {
+    // The stored token no longer verifies: revoked, suspended or expired
+    if (error.code === "LICENSE_REVOKED" || error.code === "LICENSE_SUSPENDED") {
+      return res.status(403).json({ ok: false, error: error.message });
+    }
+    if (error.code === "LICENSE_EXPIRED" || error.name === "TokenExpiredError") {
+      return res.status(403).json({ ok: false, error: "License has expired" });
+    }
+    logger.error("Account device activation error", { error });
+    res.status(500).json({ ok: false, error: "Failed to activate device" });
+  }
+});
+
+// Change the name and/or email on a license; its token is re-signed. A new
+// email moves the license to that address's account and sends it the key.
+// Team members' emails are their seats, which the team owner hands out.
+router.post("/licenses/:key/details", async (req, res) => {
+  try {
+    const stored = findOwnLicense(req, res);
+    if (!stored) return;
+
+    const changes = {};
+    if (req.body.name !== undefined) {
+      const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+      if (!name || name.length > 100) {
+        return res.status(400).json({ ok: false, error: "Name must be 1 to 100 characters" });
+      }
+      changes.name = name;
+    }
+    if (req.body.email !== undefined) {
+      if (!isValidEmail(req.body.email)) {
+        return res.status(400).json({ ok: false, error: "Valid email required" });
+      }
+      if (stored.metadata.parentKey) {
+        return res.status(400).json({ ok: false, error: "Team seats are reassigned by the team owner" });
+      }
+      changes.email = req.body.email.trim();
+    }
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({ ok: false, error: "Nothing to change" });
+    }
+
+    const updated = store.updateLicense(stored.key, { ...stored.license, ...changes });
+    store.recordLicenseEvent("license.details_changed", stored.key, {
+      from: { name: stored.license.name, email: stored.license.email },
+      to: { name: updated.license.name, email: updated.license.email },
+    });
+
+    const movedTo = updated.license.email.toLowerCase() !== req.account.email ? updated.license.email : null;
+    if (movedTo) {
+      sendLicenseKeysEmail(movedTo, [updated]).catch((error) => {
+        logger.error("License email failed", { licenseKey: updated.key, error });
+      });
+    }
+    res.json({ ok: true, movedTo, license: describeLicense(updated) });
+  } catch (error) {
+    logger.error("Account license update error", { error });
+    res.status(500).json({ ok: false, error: "Failed to update license" });
+  }
+});
+
+module.exports = router;
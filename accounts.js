@@ -0,0 +1,88 @@
+// Passwordless sign-in for the customer account portal (account.js). The
+// account is an email address and covers every license registered to it.
+//
+// A customer asks for a magic link by email. Its login token can be exchanged
+// once, within ACCOUNT_LOGIN_LINK_MINUTES, for a session token that lasts
+// ACCOUNT_SESSION_MINUTES. Both are signed like license tokens (license.js);
+// the store only remembers which login links have been used.
+
+const crypto = require('crypto');
+const store = require('./store.js');
+const { config } = require('./config.js');
+const {
+  signLoginToken,
+  verifyLoginToken,
+  signSessionToken,
+  verifySessionToken
+} = require('./license.js');
+
+const LOGIN_LINKS = 'loginLinks'; // nonce -> { email, expiresAt, usedAt }
+
+const MINUTE_MS = 60 * 1000;
+
+class AccountLogins {
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  // A magic link for an address: { token, url, expiresAt }
+  createLoginLink(email) {
+    const address = email.trim().toLowerCase();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + config.account.loginLinkMinutes * MINUTE_MS).toISOString();
+
+    this.adapter.transaction(() => {
+      this.prune();
+      this.adapter.set(LOGIN_LINKS, nonce, { email: address, expiresAt, usedAt: null });
+    });
+
+    const token = signLoginToken({ email: address, nonce });
+    const url = new URL(config.account.loginUrl);
+    url.searchParams.set('token', token);
+    return { token, url: url.toString(), expiresAt };
+  }
+
+  // Exchange a login token for { email, sessionToken, expiresAt }; null if
+  // the token is invalid, expired or already used
+  startSession(loginToken) {
+    let login;
+    try {
+      login = verifyLoginToken(loginToken);
+    } catch (error) {
+      return null;
+    }
+
+    const claimed = this.adapter.transaction(() => {
+      const link = this.adapter.get(LOGIN_LINKS, login.nonce);
+      if (!link || link.usedAt || link.email !== login.email) return false;
+      this.adapter.set(LOGIN_LINKS, login.nonce, { ...link, usedAt: new Date().toISOString() });
+      return true;
+    });
+    if (!claimed) return null;
+
+    store.recordLicenseEvent('account.login', null, { email: login.email });
+    return {
+      email: login.email,
+      sessionToken: signSessionToken({ email: login.email }),
+      expiresAt: new Date(Date.now() + config.account.sessionMinutes * MINUTE_MS).toISOString()
+    };
+  }
+
+  // { email, expiresAt } of a valid session token, or null
+  verifySession(sessionToken) {
+    try {
+      return verifySessionToken(sessionToken);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Forget links past their expiry; their tokens no longer verify anyway
+  prune(now = new Date()) {
+    for (const [nonce, link] of this.adapter.entries(LOGIN_LINKS)) {
+      if (new Date(link.expiresAt) < now) this.adapter.delete(LOGIN_LINKS, nonce);
+    }
+  }
+}
+
+module.exports = new AccountLogins(store.adapter);
@@ -0,0 +1,399 @@
+// api/admin.js
+// Support/admin endpoints, mounted at /api/admin.
+// Every request needs ADMIN_API_KEY as a bearer token or x-api-key header,
+// and every change made through it is written to the admin action log.
+const express = require("express");
+
+const { config, productionProblems, describeConfig } = require("./config.js");
+const { listPlans, mergeEntitlementOverrides } = require("./plans.js");
+const store = require("./store.js");
+const trials = require("./trials.js");
+const eventLog = require("./events.js");
+const promos = require("./promos.js");
+const reminders = require("./reminders.js");
+const releases = require("./releases.js");
+const { processStripeEvent } = require("./webhooks.js");
+const { safeEqual } = require("./safeequal.js");
+
+const router = express.Router();
+
+function requireAdmin(req, res, next) {
+  const apiKey = config.adminApiKey;
+  if (!apiKey) {
+    return res.status(503).json({ ok: false, error: "Admin API is not configured" });
+  }
+
+  const header = req.headers.authorization || "";
+  const provided = header.startsWith("Bearer ")
+    ? header.slice("Bearer ".length).trim()
+    : req.headers["x-api-key"] || "";
+
+  if (!provided || !safeEqual(provided, apiKey)) {
+    return res.status(401).json({ ok: false, error: "Unauthorized" });
+  }
+  next();
+}
+
+router.use(requireAdmin);
+
+function recordAction(req, action, target, details = {}) {
+  store.logAdminAction({ action, target, details, ip: req.ip });
+}
+
+function findLicense(req, res) {
+  const stored = store.getLicenseByKey(req.params.key);
+  if (!stored) {
+    res.status(404).json({ ok: false, error: "License not found" });
+  }
+  return stored;
+}
+
+// -------------------------
+// Licenses
+// -------------------------
+
+// Search by ?email=, ?key= (substring) and ?plan=, ?status= (exact)
+router.get("/licenses", (req, res) => {
+  const { email, key, plan, status } = req.query;
+  res.json({ ok: true, licenses: store.searchLicenses({ email, key, plan, status }) });
+});
+
+router.get("/licenses/:key", (req, res) => {
+  const stored = findLicense(req, res);
+  if (!stored) return;
+  res.json({
+    ok: true,
+    license: stored,
+    activations: store.getActivations(stored.key),
+    actions: store.getAdminActions({ target: stored.key }),
+    events: store.getLicenseEvents({ key: stored.key }),
+  });
+});
+
+router.post("/licenses/:key/revoke", (req, res) => {
+  const stored = findLicense(req, res);
+  if (!stored) return;
+  const reason = req.body.reason || "Revoked by admin";
+  const license = store.setLicenseStatus(stored.key, "revoked", reason);
+  recordAction(req, "license.revoke", stored.key, { reason });
+  res.json({ ok: true, license });
+});
+
+router.post("/licenses/:key/reinstate", (req, res) => {
+  const stored = findLicense(req, res);
+  if (!stored) return;
+  const license = store.setLicenseStatus(stored.key, "active");
+  recordAction(req, "license.reinstate", stored.key, { previousStatus: stored.status || "active" });
+  res.json({ ok: true, license });
+});
+
+// Change expiry: { expiresAt: ISO date } or { expiresAt: null } for lifetime
+router.post("/licenses/:key/expiry", (req, res) => {
+  const stored = findLicense(req, res);
+  if (!stored) return;
+
+  const { expiresAt } = req.body;
+  if (expiresAt !== null && (typeof expiresAt !== "string" || isNaN(Date.parse(expiresAt)))) {
+    return res.status(400).json({ ok: false, error: "expiresAt must be an ISO date or null" });
+  }
+
+  const updated = {
+    ...stored.license,
+    expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString(),
+  };
+  const license = store.updateLicense(stored.key, updated);
+  recordAction(req, "license.expiry", stored.key, {
+    from: stored.license.expiresAt,
+    to: updated.expiresAt,
+  });
+  store.recordLicenseEvent("license.expiry_changed", stored.key, {
+    from: stored.license.expiresAt,
+    to: updated.expiresAt,
+  });
+  res.json({ ok: true, license });
+});
+
+// Per-license feature overrides on top of the plan, e.g.
+// { entitlements: { eSigning: true, maxFileSizeMb: 2000 } }; null drops an
+// override. The license token is re-signed with the new feature map.
+router.post("/licenses/:key/entitlements", (req, res) => {
+  const stored = findLicense(req, res);
+  if (!stored) return;
+
+  let overrides;
+  try {
+    overrides = mergeEntitlementOverrides(stored.license.entitlementOverrides, req.body.entitlements);
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+
+  const { entitlementOverrides, ...details } = stored.license;
+  const license = store.updateLicense(stored.key, {
+    ...details,
+    ...(Object.keys(overrides).length ? { entitlementOverrides: overrides } : {}),
+  });
+  recordAction(req, "license.entitlements", stored.key, {
+    from: entitlementOverrides || {},
+    to: overrides,
+  });
+  res.json({ ok: true, license });
+});
+
+// Issue a new key for a license (e.g. leaked or lost); the old key stops working
+router.post("/licenses/:key/regenerate", (req, res) => {
+  const stored = findLicense(req, res);
+  if (!stored) return;
+
+  // Null if the license was removed or re-keyed since it was looked up
+  const license = store.rekeyLicense(stored.key);
+  if (!license) {
+    return res.status(409).json({ ok: false, error: "License changed while regenerating; try again" });
+  }
+  recordAction(req, "license.regenerate", stored.key, { newKey: license.key });
+  res.json({ ok: true, licenseKey: license.key, fullToken: license.fullToken, license });
+});
+
+// -------------------------
+// Promo codes
+// -------------------------
+
+router.get("/promos", (req, res) => {
+  res.json({ ok: true, promos: promos.list() });
+});
+
+// { code, type: "percent"|"fixed", value, currency?, expiresAt?,
+//   maxRedemptions?, plans?: [planId], stripeCouponId?, stripePromotionCodeId? }
+router.post("/promos", (req, res) => {
+  let promo;
+  try {
+    promo = promos.create(req.body);
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+  if (!promo) {
+    return res.status(409).json({ ok: false, error: "Promo code already exists" });
+  }
+  recordAction(req, "promo.create", promo.code, req.body);
+  res.json({ ok: true, promo });
+});
+
+// Change { active, expiresAt, maxRedemptions, plans } on an existing code
+router.post("/promos/:code", (req, res) => {
+  const changes = {};
+  for (const field of ["active", "expiresAt", "maxRedemptions", "plans"]) {
+    if (field in req.body) changes[field] = req.body[field];
+  }
+
+  let promo;
+  try {
+    promo = promos.change(req.params.code, changes);
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+  if (!promo) {
+    return res.status(404).json({ ok: false, error: "Promo code not found" });
+  }
+  recordAction(req, "promo.update", promo.code, changes);
+  res.json({ ok: true, promo });
+});
+
+// -------------------------
+// Releases
+// -------------------------
+
+router.get("/releases", (req, res) => {
+  res.json({ ok: true, releases: releases.list() });
+});
+
+// { version, channel?: "stable"|"beta", minPlan?: "trial"|planId, releasedAt?,
+//   notes?, artifacts: { "win32-x64": { file, signature? }, ... } }, with each
+// file already in RELEASES_DIR
+router.post("/releases", async (req, res) => {
+  let release;
+  try {
+    release = await releases.create(req.body);
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+  if (!release) {
+    return res.status(409).json({ ok: false, error: "Release already exists" });
+  }
+  recordAction(req, "release.create", release.version, {
+    channel: release.channel,
+    minPlan: release.minPlan,
+    platforms: Object.keys(release.artifacts),
+  });
+  res.json({ ok: true, release });
+});
+
+// Change { channel, minPlan, releasedAt, notes, active }; active: false
+// withdraws a release, and its download links stop working
+router.post("/releases/:version", (req, res) => {
+  const changes = {};
+  for (const field of ["channel", "minPlan", "releasedAt", "notes", "active"]) {
+    if (field in req.body) changes[field] = req.body[field];
+  }
+
+  let release;
+  try {
+    release = releases.change(req.params.version, changes);
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+  if (!release) {
+    return res.status(404).json({ ok: false, error: "Release not found" });
+  }
+  recordAction(req, "release.update", release.version, changes);
+  res.json({ ok: true, release });
+});
+
+// -------------------------
+// Webhook events
+// -------------------------
+
+// ?status=failed lists the dead letters
+router.get("/webhooks/events", (req, res) => {
+  const { status, type } = req.query;
+  const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 1000);
+  res.json({ ok: true, events: eventLog.list({ status, type, limit }) });
+});
+
+router.get("/webhooks/events/:id", (req, res) => {
+  const record = eventLog.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ ok: false, error: "Event not found" });
+  }
+  res.json({ ok: true, event: record });
+});
+
+// Run a stored event through the current handlers again. Events that were
+// processed successfully need { "force": true }; one still being processed
+// can't be replayed.
+router.post("/webhooks/events/:id/replay", async (req, res) => {
+  const record = eventLog.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ ok: false, error: "Event not found" });
+  }
+  if (record.status === "processed" && req.body.force !== true) {
+    return res.status(409).json({ ok: false, error: "Event already processed" });
+  }
+
+  const result = await processStripeEvent(record.event, { force: true });
+  if (result.duplicate) {
+    return res.status(409).json({ ok: false, error: "Event is being processed" });
+  }
+  recordAction(req, "webhook.replay", record.id, { type: record.type, succeeded: !result.error });
+
+  const { event, ...summary } = eventLog.get(record.id);
+  res.json({ ok: !result.error, event: summary });
+});
+
+// Replay every failed event, oldest first
+router.post("/webhooks/replay-failed", async (req, res) => {
+  const failed = eventLog.list({ status: "failed", limit: 1000 }).reverse();
+  const results = [];
+  for (const { id } of failed) {
+    const result = await processStripeEvent(eventLog.get(id).event, { force: true });
+    const error = result.duplicate ? "Event is being processed" : result.error ? result.error.message : null;
+    results.push({ id, ok: !error, error });
+  }
+  recordAction(req, "webhook.replay-failed", null, {
+    replayed: results.length,
+    succeeded: results.filter((r) => r.ok).length,
+  });
+  res.json({ ok: true, results });
+});
+
+// -------------------------
+// Admin action log
+// -------------------------
+
+router.get("/actions", (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 1000);
+  res.json({ ok: true, actions: store.getAdminActions({ target: req.query.target, limit }) });
+});
+
+// License audit trail: ?key=, ?email=, ?type= (e.g. license.verified), ?limit=
+router.get("/audit", (req, res) => {
+  const { key, email, type } = req.query;
+  const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 1000);
+  res.json({ ok: true, events: store.getLicenseEvents({ key, email, type, limit }) });
+});
+
+// -------------------------
+// Trials
+// -------------------------
+
+router.get("/trials/:deviceId", (req, res) => {
+  const trial = trials.get(req.params.deviceId);
+  if (!trial) {
+    return res.status(404).json({ ok: false, error: "Trial not found" });
+  }
+  res.json({ ok: true, trial, expiresAt: trials.expiresAt(trial).toISOString() });
+});
+
+// Let a device start a fresh trial
+router.post("/trials/:deviceId/reset", (req, res) => {
+  if (!trials.reset(req.params.deviceId)) {
+    return res.status(404).json({ ok: false, error: "Trial not found" });
+  }
+  recordAction(req, "trial.reset", req.params.deviceId);
+  res.json({ ok: true });
+});
+
+// Add days to a device's trial
+router.post("/trials/:deviceId/extend", (req, res) => {
+  const days = parseInt(req.body.days, 10);
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    return res.status(400).json({ ok: false, error: "days must be between 1 and 365" });
+  }
+
+  const trial = trials.extend(req.params.deviceId, days);
+  if (!trial) {
+    return res.status(404).json({ ok: false, error: "Trial not found" });
+  }
+  recordAction(req, "trial.extend", req.params.deviceId, { days });
+  res.json({ ok: true, trial, expiresAt: trials.expiresAt(trial).toISOString() });
+});
+
+// -------------------------
+// Renewal reminders
+// -------------------------
+
+// Send due reminders now instead of waiting for the scheduler
+router.post("/reminders/run", async (req, res) => {
+  try {
+    const sent = await reminders.run();
+    recordAction(req, "reminders.run", null, { sent });
+    res.json({ ok: true, sent });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// -------------------------
+// Configuration
+// -------------------------
+
+// Effective configuration with secrets redacted, the resolved plan catalog,
+// and any settings that would stop the server starting in production
+router.get("/config", (req, res) => {
+  res.json({
+    ok: true,
+    config: describeConfig(),
+    plans: listPlans().map(({ id, licensePlan, billing, amount, currency, stripePriceId, prices, tier, available }) => ({
+      id,
+      licensePlan,
+      billing,
+      amount,
+      currency,
+      stripePriceId,
+      prices,
+      tier,
+      available,
+    })),
+    productionProblems: productionProblems(),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// A purchase's billing address kept in its payment intent or subscription
+// metadata (billing_line1, billing_city, ...), so receipts show the address
+// the customer paid with even if their customer record changes later. Used by
+// both payment providers (stripe.js, mockpay.js) and by receipts.js.
+
+const ADDRESS_FIELDS = ['line1', 'line2', 'city', 'state', 'postal_code', 'country'];
+
+// Metadata entries for an address in Stripe's shape ({} for none)
+function addressMetadata(address) {
+  if (!address) return {};
+  return Object.fromEntries(ADDRESS_FIELDS
+    .filter((field) => address[field])
+    .map((field) => [`billing_${field}`, String(address[field]).slice(0, 500)]));
+}
+
+// The address back from a purchase's metadata, or null if it has none
+function metadataAddress(metadata) {
+  if (!metadata || !ADDRESS_FIELDS.some((field) => metadata[`billing_${field}`])) return null;
+  return Object.fromEntries(ADDRESS_FIELDS.map((field) => [field, metadata[`billing_${field}`] || null]));
+}
+
+module.exports = {
+  addressMetadata,
+  metadataAddress
+};
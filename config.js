@@ -0,0 +1,268 @@
+// Server configuration, read from the environment once and validated.
+//
+// A malformed value (APP_TRIAL_DAYS=abc, CURRENCY=dollars, an unknown
+// STORE_BACKEND, ...) throws as soon as this module loads, whatever the
+// environment. Settings that are merely unsafe for production (no webhook
+// secret, the mock payment provider, dev license seeding, ...) are listed by
+// productionProblems(); server.js refuses to start with any of them when
+// NODE_ENV=production and logs them as warnings otherwise.
+//
+// Plan prices and Stripe price ids live in plans.json (see plans.js), which
+// validates them when the catalog loads.
+
+const path = require('path');
+
+const env = process.env;
+const errors = [];
+
+function str(name, fallback = null) {
+  const value = env[name];
+  return value !== undefined && value !== '' ? value : fallback;
+}
+
+function int(name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  const value = str(name);
+  if (value === null) return fallback;
+  const parsed = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+  if (!(parsed >= min && parsed <= max)) {
+    errors.push(`${name} must be a whole number from ${min} to ${max} (got "${value}")`);
+    return fallback;
+  }
+  return parsed;
+}
+
+// Comma-separated whole numbers, largest first
+function intList(name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  const value = str(name);
+  if (value === null) return fallback;
+  const parsed = value.split(',').map((entry) => entry.trim());
+  if (!parsed.every((entry) => /^\d+$/.test(entry) && Number(entry) >= min && Number(entry) <= max)) {
+    errors.push(`${name} must be a comma-separated list of whole numbers from ${min} to ${max} (got "${value}")`);
+    return fallback;
+  }
+  return [...new Set(parsed.map(Number))].sort((a, b) => b - a);
+}
+
+function bool(name, fallback = false) {
+  const value = str(name);
+  if (value === null) return fallback;
+  if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+  if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+  errors.push(`${name} must be true or false (got "${value}")`);
+  return fallback;
+}
+
+function oneOf(name, choices, fallback) {
+  const value = str(name, fallback);
+  if (!choices.includes(value)) {
+    errors.push(`${name} must be one of ${choices.join(', ')} (got "${value}")`);
+    return fallback;
+  }
+  return value;
+}
+
+function url(name, fallback = null) {
+  const value = str(name);
+  if (value === null) return fallback;
+  try {
+    const parsed = new URL(value);
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('not http(s)');
+  } catch (error) {
+    errors.push(`${name} must be an http(s) URL (got "${value}")`);
+    return fallback;
+  }
+  return value.replace(/\/$/, '');
+}
+
+function currency(name, fallback) {
+  const value = str(name, fallback).toLowerCase();
+  if (!/^[a-z]{3}$/.test(value)) {
+    errors.push(`${name} must be a three-letter ISO currency code (got "${value}")`);
+    return fallback;
+  }
+  return value;
+}
+
+function invoicePrefix(name, fallback) {
+  const value = str(name, fallback);
+  if (!/^[A-Za-z0-9]{1,10}$/.test(value)) {
+    errors.push(`${name} must be 1 to 10 letters or digits (got "${value}")`);
+    return fallback;
+  }
+  return value.toUpperCase();
+}
+
+const port = int('PORT', 5000, { min: 1, max: 65535 });
+const publicUrl = url('PUBLIC_URL', `http://localhost:${port}`);
+
+const config = Object.freeze({
+  nodeEnv: str('NODE_ENV', 'development'),
+  isProduction: env.NODE_ENV === 'production',
+  port,
+  // Where customers reach this server; Stripe Checkout and the billing portal
+  // redirect back here
+  publicUrl,
+  billingPortalReturnUrl: url('BILLING_PORTAL_RETURN_URL'),
+  trialDays: int('APP_TRIAL_DAYS', 3, { min: 1, max: 365 }),
+  auditRetentionDays: int('AUDIT_RETENTION_DAYS', 365, { min: 1 }),
+  // Stripe redelivers events for up to 3 days, so processed ones must be
+  // remembered at least that long
+  webhookEventRetentionDays: int('WEBHOOK_EVENT_RETENTION_DAYS', 30, { min: 3 }),
+  // Expired licenses keep verifying this long (see license.js)
+  licenseGraceDays: int('LICENSE_GRACE_DAYS', 7, { min: 0, max: 90 }),
+  // Days before expiry that yearly licenses get a renewal reminder, and how
+  // often the reminder scheduler looks for due ones
+  renewalReminderDays: intList('RENEWAL_REMINDER_DAYS', [30, 7, 1], { min: 1, max: 365 }),
+  reminderIntervalMinutes: int('REMINDER_INTERVAL_MINUTES', 60, { min: 1, max: 24 * 60 }),
+  logLevel: oneOf('LOG_LEVEL', ['debug', 'info', 'warn', 'error'], 'info'),
+  seedDevLicenses: bool('SEED_DEV_LICENSES'),
+  trustProxy: str('TRUST_PROXY'),
+  rateLimitStore: oneOf('RATE_LIMIT_STORE', ['memory', 'shared'], 'memory'),
+  adminApiKey: str('ADMIN_API_KEY'),
+  metricsToken: str('METRICS_TOKEN'),
+  plansFile: str('PLANS_FILE', path.join(__dirname, 'plans.json')),
+  currency: currency('CURRENCY', 'usd'),
+
+  store: Object.freeze({
+    backend: oneOf('STORE_BACKEND', ['file', 'memory'], 'file'),
+    dir: str('STORE_DIR', path.join(__dirname, 'data', 'store')),
+    // Single-file store from before STORE_DIR; imported into it on start
+    file: str('STORE_FILE', path.join(__dirname, 'data', 'store.json')),
+    auditDir: str('AUDIT_DIR', path.join(__dirname, 'data', 'audit'))
+  }),
+
+  signing: Object.freeze({
+    keysDir: str('KEYS_DIR', path.join(__dirname, 'data', 'keys')),
+    privateKey: str('SIGNING_PRIVATE_KEY'),
+    keyId: str('SIGNING_KEY_ID', 'env'),
+    legacySecret: str('APP_SIGNING_SECRET')
+  }),
+
+  payments: Object.freeze({
+    provider: oneOf('PAYMENT_PROVIDER', ['stripe', 'mock'], 'stripe')
+  }),
+
+  stripe: Object.freeze({
+    secretKey: str('STRIPE_SECRET_KEY'),
+    publishableKey: str('STRIPE_PUBLISHABLE_KEY'),
+    webhookSecret: str('STRIPE_WEBHOOK_SECRET')
+  }),
+
+  // Seller details printed on PDF receipts (see receipts.js); the address is
+  // "|"-separated lines
+  receipts: Object.freeze({
+    issuerName: str('RECEIPT_ISSUER_NAME', 'PDF Forge Pro'),
+    issuerAddress: str('RECEIPT_ISSUER_ADDRESS'),
+    issuerTaxId: str('RECEIPT_ISSUER_TAX_ID'),
+    invoicePrefix: invoicePrefix('INVOICE_PREFIX', 'PFP')
+  }),
+
+  // Customer account portal (see accounts.js): magic links point at loginUrl
+  // with ?token=, and the page there exchanges the token for a session
+  account: Object.freeze({
+    loginUrl: url('ACCOUNT_LOGIN_URL', `${publicUrl}/account/login`),
+    loginLinkMinutes: int('ACCOUNT_LOGIN_LINK_MINUTES', 15, { min: 1, max: 24 * 60 }),
+    sessionMinutes: int('ACCOUNT_SESSION_MINUTES', 60, { min: 5, max: 7 * 24 * 60 })
+  }),
+
+  // Desktop app releases (see releases.js): artifact files live in
+  // releasesDir and are downloaded through links signed with downloadSecret
+  updates: Object.freeze({
+    releasesDir: str('RELEASES_DIR', path.join(__dirname, 'data', 'releases')),
+    downloadSecret: str('DOWNLOAD_URL_SECRET'),
+    downloadLinkMinutes: int('DOWNLOAD_URL_MINUTES', 60, { min: 1, max: 7 * 24 * 60 })
+  }),
+
+  mail: Object.freeze({
+    transport: oneOf('MAIL_TRANSPORT', ['smtp', 'file', 'console'], 'console'),
+    from: str('MAIL_FROM', 'PDF Forge Pro <no-reply@pdfforgepro.com>'),
+    dir: str('MAIL_DIR', path.join(__dirname, 'data', 'mail')),
+    smtpUrl: str('SMTP_URL'),
+    smtpHost: str('SMTP_HOST'),
+    smtpPort: int('SMTP_PORT', 587, { min: 1, max: 65535 }),
+    smtpUser: str('SMTP_USER'),
+    smtpPass: str('SMTP_PASS')
+  })
+});
+
+if (errors.length) {
+  throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+}
+
+// Settings that are fine for development but not for taking real payments
+function productionProblems() {
+  const problems = [];
+  if (config.payments.provider === 'mock') {
+    problems.push('PAYMENT_PROVIDER is mock');
+  } else {
+    if (!config.stripe.secretKey) problems.push('STRIPE_SECRET_KEY is not set');
+    if (!config.stripe.publishableKey) problems.push('STRIPE_PUBLISHABLE_KEY is not set');
+    if (!config.stripe.webhookSecret) problems.push('STRIPE_WEBHOOK_SECRET is not set');
+  }
+  if (config.seedDevLicenses) {
+    problems.push('SEED_DEV_LICENSES is on, which seeds well-known license keys');
+  }
+  if (config.store.backend === 'memory') {
+    problems.push('STORE_BACKEND is memory, so licenses are lost on restart');
+  }
+  if (!config.signing.privateKey && !env.KEYS_DIR) {
+    problems.push('Neither SIGNING_PRIVATE_KEY nor KEYS_DIR is set, so signing keys are generated inside the app directory');
+  }
+  if (!env.PUBLIC_URL) {
+    problems.push('PUBLIC_URL is not set, so checkout and billing portal redirects point at localhost');
+  }
+  if (config.mail.transport !== 'smtp') {
+    problems.push(`MAIL_TRANSPORT is ${config.mail.transport}, so license keys are never emailed`);
+  }
+  if (config.adminApiKey && config.adminApiKey.length < 24) {
+    problems.push('ADMIN_API_KEY is shorter than 24 characters');
+  }
+  if (!config.updates.downloadSecret) {
+    problems.push('DOWNLOAD_URL_SECRET is not set, so download links stop working on restart and between instances');
+  } else if (config.updates.downloadSecret.length < 32) {
+    problems.push('DOWNLOAD_URL_SECRET is shorter than 32 characters');
+  }
+  return problems;
+}
+
+// Secrets are reported as set or not, never their value. Stripe keys keep
+// their prefix, which tells live and test mode apart.
+function redact(value) {
+  if (!value) return null;
+  const prefix = value.match(/^(sk|pk|rk|whsec)_(live_|test_)?/);
+  return `${prefix ? prefix[0] : ''}[redacted]`;
+}
+
+// The effective configuration, safe to show on the admin API
+function describeConfig() {
+  return {
+    ...config,
+    adminApiKey: redact(config.adminApiKey),
+    metricsToken: redact(config.metricsToken),
+    signing: {
+      ...config.signing,
+      privateKey: redact(config.signing.privateKey),
+      legacySecret: redact(config.signing.legacySecret)
+    },
+    stripe: {
+      secretKey: redact(config.stripe.secretKey),
+      publishableKey: config.stripe.publishableKey,
+      webhookSecret: redact(config.stripe.webhookSecret)
+    },
+    updates: {
+      ...config.updates,
+      downloadSecret: redact(config.updates.downloadSecret)
+    },
+    mail: {
+      ...config.mail,
+      smtpUrl: redact(config.mail.smtpUrl),
+      smtpPass: redact(config.mail.smtpPass)
+    }
+  };
+}
+
+module.exports = {
+  config,
+  productionProblems,
+  describeConfig
+};
@@ -0,0 +1,58 @@
+// Device activations: binding a license to the devices it runs on, up to its
+// plan's limit. Used by the license endpoints (server.js) and the account
+// portal (account.js); activations themselves are kept by store.js.
+
+const store = require('./store.js');
+const teams = require('./teams.js');
+const { verifyLicenseToken, signLicenseToken } = require('./license.js');
+const { getPlanByLicensePlan } = require('./plans.js');
+
+// How many devices one license may be active on at a time: the plan's
+// maxActivations, or one for plans without a limit or no longer in the catalog
+function maxActivationsFor(licensePlan) {
+  const plan = getPlanByLicensePlan(licensePlan);
+  return plan && plan.maxActivations != null ? plan.maxActivations : 1;
+}
+
+function isValidDeviceId(deviceId) {
+  return typeof deviceId === 'string' && deviceId.length > 0 && deviceId.length <= 200;
+}
+
+// Bind a stored license to a device and sign a token carrying the device id.
+// Throws if the stored token no longer verifies (e.g. expired).
+function activateDevice(stored, deviceId, deviceName) {
+  if (teams.isOwner(stored)) {
+    return { ok: false, error: 'Team licenses are activated through their seats' };
+  }
+
+  const license = verifyLicenseToken(stored.fullToken);
+  const maxActivations = maxActivationsFor(license.plan);
+  const activation = store.addActivation(
+    stored.key,
+    { deviceId, deviceName: typeof deviceName === 'string' ? deviceName.slice(0, 200) : null },
+    maxActivations
+  );
+
+  if (!activation) {
+    return {
+      ok: false,
+      error: 'Activation limit reached',
+      maxActivations,
+      activations: store.getActivations(stored.key)
+    };
+  }
+
+  return {
+    ok: true,
+    fullToken: signLicenseToken({ ...license, licenseKey: stored.key, deviceId }),
+    activation,
+    activations: store.getActivations(stored.key).length,
+    maxActivations
+  };
+}
+
+module.exports = {
+  maxActivationsFor,
+  isValidDeviceId,
+  activateDevice
+};
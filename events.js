@@ -0,0 +1,97 @@
+// Log of every Stripe webhook event we have received, so retried deliveries are
+// processed once and failed ones can be inspected and replayed. Processed
+// events are pruned after WEBHOOK_EVENT_RETENTION_DAYS; failed ones stay
+// until they are replayed.
+
+const store = require('./store.js');
+
+const EVENTS = 'webhookEvents'; // eventId -> { id, type, status, attempts, error, receivedAt, ... }
+
+// An event stuck in "processing" this long was abandoned by a crashed process
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+class WebhookEventLog {
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  get(id) {
+    return this.adapter.get(EVENTS, id);
+  }
+
+  // Whether a delivery or replay is working on the event right now
+  isProcessing(record, now = new Date()) {
+    return record.status === 'processing' && now - new Date(record.startedAt) < PROCESSING_TIMEOUT_MS;
+  }
+
+  // Claim an event for processing. Returns null if it was already processed
+  // (unless `force`) or something is processing it right now.
+  begin(event, { force = false } = {}) {
+    return this.adapter.transaction(() => {
+      const existing = this.get(event.id);
+      const now = new Date();
+
+      if (existing) {
+        if (existing.status === 'processed' && !force) return null;
+        if (this.isProcessing(existing, now)) return null;
+      }
+
+      const record = {
+        id: event.id,
+        type: event.type,
+        status: 'processing',
+        attempts: (existing ? existing.attempts : 0) + 1,
+        error: null,
+        receivedAt: existing ? existing.receivedAt : now.toISOString(),
+        startedAt: now.toISOString(),
+        processedAt: null,
+        event
+      };
+      this.adapter.set(EVENTS, event.id, record);
+      return record;
+    });
+  }
+
+  succeed(id) {
+    this.update(id, { status: 'processed', processedAt: new Date().toISOString() });
+  }
+
+  fail(id, error) {
+    this.update(id, { status: 'failed', error: error.message || String(error) });
+  }
+
+  update(id, changes) {
+    this.adapter.transaction(() => {
+      const existing = this.get(id);
+      if (existing) this.adapter.set(EVENTS, id, { ...existing, ...changes });
+    });
+  }
+
+  // Drop processed events older than `days`; returns how many were removed
+  prune(days) {
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    return this.adapter.transaction(() => {
+      let count = 0;
+      for (const [id, record] of this.adapter.entries(EVENTS)) {
+        if (record.status === 'processed' && (record.processedAt || record.receivedAt) < cutoff) {
+          this.adapter.delete(EVENTS, id);
+          count++;
+        }
+      }
+      return count;
+    });
+  }
+
+  // Newest first, without payloads; filter by status ("failed" is the
+  // dead-letter list) and/or type
+  list({ status, type, limit = 100 } = {}) {
+    return this.adapter.entries(EVENTS)
+      .map(([, record]) => record)
+      .filter((record) => (!status || record.status === status) && (!type || record.type === type))
+      .sort((a, b) => (a.receivedAt < b.receivedAt ? 1 : -1))
+      .slice(0, limit)
+      .map(({ event, ...summary }) => summary);
+  }
+}
+
+module.exports = new WebhookEventLog(store.adapter);
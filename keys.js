@@ -0,0 +1,126 @@
+// RS256 signing keys for trial and license tokens.
+//
+// Keys live in KEYS_DIR (default data/keys) as <kid>.pem private keys; the
+// "active" file names the kid new tokens are signed with. Retired keys stay in
+// the directory so tokens they signed keep verifying until they expire, and
+// are published alongside the active key at /.well-known/jwks.json.
+//
+// Alternatively SIGNING_PRIVATE_KEY (PEM) + SIGNING_KEY_ID supply the active
+// key from the environment, for hosts without a persistent disk.
+//
+// Rotate with `npm run keys:rotate`.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config.js');
+const { logger } = require('./logger.js');
+
+const ALGORITHM = 'RS256';
+const KEYS_DIR = config.signing.keysDir;
+const ACTIVE_FILE = path.join(KEYS_DIR, 'active');
+
+let cache = null; // { dirMtimeMs, activeKid, keys: Map<kid, { privateKey, publicKey }> }
+
+function newKid() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `k${date}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function writeKey(kid, privateKey) {
+  fs.mkdirSync(KEYS_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(path.join(KEYS_DIR, `${kid}.pem`), privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+  const tmpPath = `${ACTIVE_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, kid);
+  fs.renameSync(tmpPath, ACTIVE_FILE);
+}
+
+// Generate a fresh key pair and make it the active signing key
+function rotateSigningKey() {
+  const kid = newKid();
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  writeKey(kid, privateKey);
+  cache = null;
+  return kid;
+}
+
+function loadKeys() {
+  let dirMtimeMs = 0;
+  try {
+    dirMtimeMs = fs.statSync(KEYS_DIR).mtimeMs;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  if (cache && cache.dirMtimeMs === dirMtimeMs) return cache;
+
+  const keys = new Map();
+  if (dirMtimeMs) {
+    for (const file of fs.readdirSync(KEYS_DIR)) {
+      if (!file.endsWith('.pem')) continue;
+      const privateKey = crypto.createPrivateKey(fs.readFileSync(path.join(KEYS_DIR, file)));
+      keys.set(path.basename(file, '.pem'), { privateKey, publicKey: crypto.createPublicKey(privateKey) });
+    }
+  }
+
+  let activeKid = null;
+  if (config.signing.privateKey) {
+    activeKid = config.signing.keyId;
+    const privateKey = crypto.createPrivateKey(config.signing.privateKey.replace(/\\n/g, '\n'));
+    keys.set(activeKid, { privateKey, publicKey: crypto.createPublicKey(privateKey) });
+  } else if (fs.existsSync(ACTIVE_FILE)) {
+    activeKid = fs.readFileSync(ACTIVE_FILE, 'utf8').trim();
+  }
+
+  if (!activeKid || !keys.has(activeKid)) {
+    // First run: create a key so development works out of the box
+    rotateSigningKey();
+    logger.info('Generated new signing key', { keysDir: KEYS_DIR });
+    return loadKeys();
+  }
+
+  cache = { dirMtimeMs, activeKid, keys };
+  return cache;
+}
+
+function getSigningKey() {
+  const { activeKid, keys } = loadKeys();
+  return { kid: activeKid, privateKey: keys.get(activeKid).privateKey };
+}
+
+function getActiveKid() {
+  return loadKeys().activeKid;
+}
+
+function getVerificationKey(kid) {
+  const entry = loadKeys().keys.get(kid);
+  return entry ? entry.publicKey : null;
+}
+
+// JWKS document for clients that verify tokens offline
+function getJwks() {
+  const keys = [];
+  for (const [kid, { publicKey }] of loadKeys().keys) {
+    keys.push({ ...publicKey.export({ format: 'jwk' }), kid, alg: ALGORITHM, use: 'sig' });
+  }
+  return { keys };
+}
+
+if (require.main === module) {
+  const [command] = process.argv.slice(2);
+  if (command === 'rotate') {
+    console.log(`Active signing key is now ${rotateSigningKey()}`);
+  } else {
+    console.log('Usage: node keys.js rotate');
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  ALGORITHM,
+  getSigningKey,
+  getActiveKid,
+  getVerificationKey,
+  getJwks,
+  rotateSigningKey
+};
@@ -1,20 +1,76 @@
 const jwt = require('jsonwebtoken');
+const { ALGORITHM, getSigningKey, getActiveKid, getVerificationKey } = require('./keys.js');
+const { config } = require('./config.js');
 
-const SECRET = process.env.APP_SIGNING_SECRET || 'fallback-dev-secret-please-change-in-production';
+// Tokens issued before the move to RS256 were HS256-signed with this secret.
+// They keep verifying while it is set; /api/license/verify hands back an
+// RS256 re-signed token, so unset it once clients have refreshed.
+const LEGACY_SECRET = config.signing.legacySecret;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// End of an expiring license's grace period (LICENSE_GRACE_DAYS after
+// expiresAt): until then it still verifies, so a renewal that fails on the
+// day doesn't lock anyone out straight away
+function graceEnd(expiresAt) {
+  return new Date(new Date(expiresAt).getTime() + config.licenseGraceDays * DAY_MS);
+}
+
+function sign(payload, options = {}) {
+  const { kid, privateKey } = getSigningKey();
+  return jwt.sign(payload, privateKey, { ...options, algorithm: ALGORITHM, keyid: kid });
+}
+
+function verify(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { alg, kid } = decoded.header;
+  if (alg === 'HS256') {
+    if (!LEGACY_SECRET) {
+      throw new jwt.JsonWebTokenError('Legacy HS256 tokens are no longer accepted');
+    }
+    return jwt.verify(token, LEGACY_SECRET, { algorithms: ['HS256'] });
+  }
+
+  const publicKey = getVerificationKey(kid);
+  if (!publicKey) {
+    throw new jwt.JsonWebTokenError(`Unknown signing key: ${kid}`);
+  }
+  return jwt.verify(token, publicKey, { algorithms: [ALGORITHM] });
+}
+
+// True for tokens not signed by the current active key (legacy HS256 or a
+// retired kid), which should be re-signed when next seen
+function isStaleToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  return !decoded || decoded.header.alg !== ALGORITHM || decoded.header.kid !== getActiveKid();
+}
+
+// Revocation lives in the license store rather than in the token, so
+// verifyLicenseToken asks this resolver for the license's current status.
+// store.js registers it; see LicenseStore#getTokenLicenseStatus.
+let licenseStatusResolver = null;
+
+function setLicenseStatusResolver(resolver) {
+  licenseStatusResolver = resolver;
+}
 
 // Trial token functions
 function signTrialToken(payload) {
-  return jwt.sign({
+  return sign({
     ...payload,
     type: 'trial',
     iat: Math.floor(Date.now() / 1000)
-  }, SECRET, { 
+  }, { 
     expiresIn: '7d' // Trial tokens expire after 7 days for cleanup
   });
 }
 
 function verifyTrialToken(token) {
-  const decoded = jwt.verify(token, SECRET);
+  const decoded = verify(token);
   
   if (decoded.type !== 'trial') {
     throw new Error('Invalid trial token type');
@@ -22,35 +78,52 @@ function verifyTrialToken(token) {
   
   return {
     startedAt: decoded.startedAt,
-    durationDays: decoded.durationDays
+    durationDays: decoded.durationDays,
+    deviceId: decoded.deviceId,
+    entitlements: decoded.entitlements || {}
   };
 }
 
 // License token functions  
 function signLicenseToken(payload) {
-  return jwt.sign({
-    ...payload,
+  // graceUntil is worked out on every verify, never carried in the token
+  const { graceUntil, ...claims } = payload;
+  return sign({
+    ...claims,
     type: 'license',
-    iat: Math.floor(Date.now() / 1000)
-  }, SECRET, {
-    // Lifetime licenses don't expire, annual licenses expire when specified
-    ...(payload.expiresAt ? { expiresIn: Math.floor((new Date(payload.expiresAt) - new Date()) / 1000) } : {})
+    iat: Math.floor(Date.now() / 1000),
+    // Lifetime licenses don't expire; the others stop verifying once their
+    // grace period is over
+    ...(claims.expiresAt ? { exp: Math.floor(graceEnd(claims.expiresAt).getTime() / 1000) } : {})
   });
 }
 
 function verifyLicenseToken(token) {
-  const decoded = jwt.verify(token, SECRET);
+  const decoded = verify(token);
   
   if (decoded.type !== 'license') {
     throw new Error('Invalid license token type');
   }
   
-  // Check if license has expired (for annual licenses)
-  if (decoded.expiresAt) {
-    const expiry = new Date(decoded.expiresAt);
-    if (expiry < new Date()) {
-      throw new Error('License has expired');
+  // Check if license has expired (for annual licenses); within the grace
+  // period it still verifies, with graceUntil set
+  let graceUntil = null;
+  if (decoded.expiresAt && new Date(decoded.expiresAt) < new Date()) {
+    const end = graceEnd(decoded.expiresAt);
+    if (end < new Date()) {
+      const error = new Error('License has expired');
+      error.code = 'LICENSE_EXPIRED';
+      throw error;
     }
+    graceUntil = end.toISOString();
+  }
+
+  // A refund, chargeback or admin action can end a license before its JWT does
+  const status = licenseStatusResolver ? licenseStatusResolver(decoded) : null;
+  if (status === 'revoked' || status === 'suspended') {
+    const error = new Error(status === 'revoked' ? 'License has been revoked' : 'License is suspended');
+    error.code = status === 'revoked' ? 'LICENSE_REVOKED' : 'LICENSE_SUSPENDED';
+    throw error;
   }
   
   return {
@@ -58,13 +131,54 @@ function verifyLicenseToken(token) {
     email: decoded.email,
     plan: decoded.plan,
     purchasedAt: decoded.purchasedAt,
-    expiresAt: decoded.expiresAt
+    expiresAt: decoded.expiresAt,
+    ...(graceUntil ? { graceUntil } : {}),
+    ...(decoded.licenseKey ? { licenseKey: decoded.licenseKey } : {}),
+    // Features the license unlocks; missing from tokens issued before
+    // entitlements existed
+    ...(decoded.entitlements ? { entitlements: decoded.entitlements } : {}),
+    // Only present on tokens bound to a device via /api/license/activate
+    ...(decoded.deviceId ? { deviceId: decoded.deviceId } : {})
   };
 }
 
+// Customer account tokens (see accounts.js). A login token is the one-time
+// secret in a magic link; exchanging it gives a session token. Each carries
+// its own type, so neither passes for a license or trial token.
+function signLoginToken({ email, nonce }) {
+  return sign({ email, nonce, type: 'account_login' }, { expiresIn: config.account.loginLinkMinutes * 60 });
+}
+
+function verifyLoginToken(token) {
+  const decoded = verify(token);
+  if (decoded.type !== 'account_login') {
+    throw new Error('Invalid login token type');
+  }
+  return { email: decoded.email, nonce: decoded.nonce };
+}
+
+function signSessionToken({ email }) {
+  return sign({ email, type: 'account_session' }, { expiresIn: config.account.sessionMinutes * 60 });
+}
+
+function verifySessionToken(token) {
+  const decoded = verify(token);
+  if (decoded.type !== 'account_session') {
+    throw new Error('Invalid session token type');
+  }
+  return { email: decoded.email, expiresAt: new Date(decoded.exp * 1000).toISOString() };
+}
+
 module.exports = {
   signTrialToken,
   verifyTrialToken,
   signLicenseToken,
-  verifyLicenseToken
+  verifyLicenseToken,
+  signLoginToken,
+  verifyLoginToken,
+  signSessionToken,
+  verifySessionToken,
+  isStaleToken,
+  graceEnd,
+  setLicenseStatusResolver
 };
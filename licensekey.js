@@ -0,0 +1,64 @@
+// Human-readable license keys: PFW-XXXX-XXXX-XXXX-XXXX-CCCC
+//
+// The first four groups are random (80 bits from the CSPRNG) over an alphabet
+// without the lookalikes 0/O and 1/I. The last group is a check: the first 20
+// bits of SHA-256("PFW-" + the 16 random characters). It is not a secret, only
+// a typo catcher, so the desktop app can run this module as-is to reject a
+// mistyped key before asking the server.
+//
+// Keys issued before the check group existed use the full A-Z0-9 alphabet and
+// have no check (and the development keys have only four groups); they still
+// normalize, but isValidLicenseKey() is false for them, so the server accepts
+// them only if they are on record.
+
+const crypto = require('crypto');
+
+const PREFIX = 'PFW';
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // 32 symbols, 5 bits each
+const RANDOM_LENGTH = 16;
+const CHECK_LENGTH = 4;
+
+function checkGroup(payload) {
+  const digest = crypto.createHash('sha256').update(`${PREFIX}-${payload}`).digest();
+  const bits = digest.readUInt32BE(0) >>> (32 - 5 * CHECK_LENGTH);
+  let check = '';
+  for (let i = CHECK_LENGTH - 1; i >= 0; i--) {
+    check += ALPHABET[(bits >>> (5 * i)) & 31];
+  }
+  return check;
+}
+
+function format(body) {
+  return `${PREFIX}-${body.match(/.{4}/g).join('-')}`;
+}
+
+function generateLicenseKey() {
+  // 256 is a multiple of 32, so masking each byte keeps the choice uniform
+  const payload = Array.from(crypto.randomBytes(RANDOM_LENGTH), (byte) => ALPHABET[byte & 31]).join('');
+  return format(payload + checkGroup(payload));
+}
+
+// Canonical form of a typed or pasted key (any case, spaces, with or without
+// dashes or the PFW prefix), or null if it isn't shaped like a key at all
+function normalizeLicenseKey(input) {
+  if (typeof input !== 'string') return null;
+  const compact = input.replace(/[\s-]/g, '').toUpperCase();
+  const match = compact.match(new RegExp(`^(?:${PREFIX})?([A-Z0-9]{16}|[A-Z0-9]{20})$`));
+  return match ? format(match[1]) : null;
+}
+
+// Whether a key is well formed and its check group matches
+function isValidLicenseKey(input) {
+  const key = normalizeLicenseKey(input);
+  if (!key) return false;
+  const body = key.slice(PREFIX.length + 1).replace(/-/g, '');
+  if (body.length !== RANDOM_LENGTH + CHECK_LENGTH) return false;
+  if (![...body].every((char) => ALPHABET.includes(char))) return false;
+  return checkGroup(body.slice(0, RANDOM_LENGTH)) === body.slice(RANDOM_LENGTH);
+}
+
+module.exports = {
+  generateLicenseKey,
+  normalizeLicenseKey,
+  isValidLicenseKey
+};
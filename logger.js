@@ -0,0 +1,116 @@
+// Structured logging: one JSON object per line, e.g.
+//   {"time":"...","level":"error","msg":"License verify error","requestId":"...","error":{...}}
+// LOG_LEVEL (debug, info, warn, error; default info; see config.js) sets the
+// threshold.
+// warn and error go to stderr, the rest to stdout.
+//
+// requestContext() gives every HTTP request an id (the caller's X-Request-Id
+// if it sent a sane one), echoes it in the response, and makes it available
+// to everything that runs for the request, so log lines and audit events
+// carry it without passing it around.
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('./config.js');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[config.logLevel];
+
+const context = new AsyncLocalStorage();
+
+// Errors don't survive JSON.stringify; keep the useful parts
+function serialize(value) {
+  if (value instanceof Error) {
+    return {
+      message: value.message,
+      ...(value.code ? { code: value.code } : {}),
+      ...(value.type ? { type: value.type } : {}),
+      stack: value.stack
+    };
+  }
+  return value;
+}
+
+class Logger {
+  constructor(fields = {}) {
+    this.fields = fields;
+  }
+
+  // Logger that adds `fields` to every line
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields });
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  write(level, msg, fields = {}) {
+    if (LEVELS[level] < threshold) return;
+
+    const entry = { time: new Date().toISOString(), level, msg };
+    const requestId = currentRequestId();
+    if (requestId) entry.requestId = requestId;
+    for (const [key, value] of Object.entries({ ...this.fields, ...fields })) {
+      entry[key] = serialize(value);
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+// Id of the HTTP request being handled, or null outside of one
+function currentRequestId() {
+  const store = context.getStore();
+  return store ? store.requestId : null;
+}
+
+// Express middleware: request ids plus one access log line per request. Only
+// the path is logged, since some query strings carry tokens.
+function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.headers['x-request-id'];
+    const requestId = typeof incoming === 'string' && /^[\w.:-]{1,128}$/.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      context.run({ requestId }, () => {
+        logger.info('request', {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n),
+          ip: req.ip
+        });
+      });
+    });
+
+    context.run({ requestId }, next);
+  };
+}
+
+const logger = new Logger();
+
+module.exports = {
+  logger,
+  currentRequestId,
+  requestContext
+};
@@ -0,0 +1,201 @@
+// Outgoing email. MAIL_TRANSPORT picks how mail leaves the server:
+//   smtp    - real delivery via SMTP_URL (or SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS)
+//   file    - writes each message as an .eml file into MAIL_DIR, for local dev
+//   console - logs each message at info level (default)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config.js');
+const { logger } = require('./logger.js');
+
+const FROM = config.mail.from;
+
+function createSmtpTransport() {
+  const nodemailer = require('nodemailer');
+  const { smtpUrl, smtpHost, smtpPort, smtpUser, smtpPass } = config.mail;
+  if (smtpUrl) {
+    return nodemailer.createTransport(smtpUrl);
+  }
+
+  return nodemailer.createTransport({
+    host: smtpHost,
+    port: smtpPort,
+    secure: smtpPort === 465,
+    auth: smtpUser ? { user: smtpUser, pass: smtpPass } : undefined
+  });
+}
+
+function formatMessage({ from, to, subject, text }) {
+  return [`From: ${from}`, `To: ${to}`, `Subject: ${subject}`, `Date: ${new Date().toUTCString()}`, '', text].join('\r\n');
+}
+
+function createFileTransport() {
+  const dir = config.mail.dir;
+  return {
+    async sendMail(message) {
+      fs.mkdirSync(dir, { recursive: true });
+      // Messages to one address in the same millisecond must not overwrite
+      // each other, hence the random part (and 'wx', just in case)
+      const suffix = crypto.randomBytes(4).toString('hex');
+      const file = path.join(dir, `${Date.now()}-${suffix}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.eml`);
+      fs.writeFileSync(file, formatMessage(message), { flag: 'wx' });
+      return { file };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    async sendMail(message) {
+      const { from, to, subject, text } = message;
+      logger.info('Email', { from, to, subject, text });
+      return {};
+    }
+  };
+}
+
+let transport = null;
+
+function getTransport() {
+  if (transport) return transport;
+
+  const kind = config.mail.transport;
+  switch (kind) {
+    case 'smtp':
+      transport = createSmtpTransport();
+      break;
+    case 'file':
+      transport = createFileTransport();
+      break;
+    case 'console':
+      transport = createConsoleTransport();
+      break;
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${kind}" (expected smtp, file or console)`);
+  }
+  return transport;
+}
+
+async function sendMail({ to, subject, text }) {
+  return getTransport().sendMail({ from: FROM, to, subject, text });
+}
+
+function describeLicense({ key, fullToken, license }) {
+  return [
+    `License key: ${key}`,
+    `Plan:        ${license.plan}`,
+    `Expires:     ${license.expiresAt ? license.expiresAt.slice(0, 10) : 'never'}`,
+    '',
+    'Full license token (for offline activation):',
+    fullToken
+  ].join('\n');
+}
+
+// Purchase confirmation carrying the new license key and token
+async function sendLicenseIssuedEmail(record) {
+  if (!record.license.email) return;
+
+  await sendMail({
+    to: record.license.email,
+    subject: 'Your PDF Forge Pro license',
+    text: [
+      `Hi ${record.license.name || 'there'},`,
+      '',
+      'Thanks for buying PDF Forge Pro! Enter this key in the app to activate it:',
+      '',
+      describeLicense(record),
+      '',
+      'Keep this email somewhere safe; you can ask for it again from the app at any time.'
+    ].join('\n')
+  });
+}
+
+// Fire-and-forget purchase email for a freshly issued license (see
+// LicenseStore#issueLicense). Mail trouble must not fail the purchase: the
+// license exists either way, and the customer can use "resend my key".
+function notifyLicenseIssued(issued) {
+  if (!issued.created) return;
+  sendLicenseIssuedEmail(issued).catch((error) => {
+    logger.error('License email failed', { licenseKey: issued.key, error });
+  });
+}
+
+// Every license registered to an address, for "resend my key"
+async function sendLicenseKeysEmail(email, records) {
+  await sendMail({
+    to: email,
+    subject: 'Your PDF Forge Pro license keys',
+    text: [
+      'Here are the PDF Forge Pro licenses registered to this email address:',
+      '',
+      records.map(describeLicense).join('\n\n----------\n\n'),
+      '',
+      "If you didn't ask for this email you can ignore it."
+    ].join('\n')
+  });
+}
+
+// Magic link for signing in to the account portal (see accounts.js)
+async function sendLoginLinkEmail(email, { url, expiresAt }) {
+  await sendMail({
+    to: email,
+    subject: 'Sign in to your PDF Forge Pro account',
+    text: [
+      'Use this link to sign in and manage your PDF Forge Pro licenses:',
+      '',
+      url,
+      '',
+      `The link works once and expires at ${expiresAt.slice(11, 16)} UTC.`,
+      "If you didn't ask to sign in you can ignore this email."
+    ].join('\n')
+  });
+}
+
+// Reminder sent ahead of a license's expiry date (see reminders.js)
+async function sendRenewalReminderEmail(record) {
+  const date = record.license.expiresAt.slice(0, 10);
+  await sendMail({
+    to: record.license.email,
+    subject: `Your PDF Forge Pro license is up for renewal on ${date}`,
+    text: [
+      `Hi ${record.license.name || 'there'},`,
+      '',
+      `Your PDF Forge Pro license ${record.key} (${record.license.plan}) is up for renewal on ${date}.`,
+      '',
+      'If your subscription is active it renews automatically; please check that your',
+      'payment details are up to date under "Manage billing" in the app. Otherwise',
+      'the Pro features stop working once the license expires.'
+    ].join('\n')
+  });
+}
+
+// Notice sent once a license has expired; `graceUntil` is when it stops
+// verifying, if that is later than its expiry
+async function sendLicenseExpiredEmail(record, graceUntil) {
+  const date = record.license.expiresAt.slice(0, 10);
+  await sendMail({
+    to: record.license.email,
+    subject: 'Your PDF Forge Pro license has expired',
+    text: [
+      `Hi ${record.license.name || 'there'},`,
+      '',
+      `Your PDF Forge Pro license ${record.key} (${record.license.plan}) expired on ${date}.`,
+      graceUntil
+        ? `It keeps working until ${graceUntil.slice(0, 10)}; renew before then to keep the Pro features.`
+        : 'Renew it to keep using the Pro features.',
+      '',
+      'You can renew or update your payment details under "Manage billing" in the app.'
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  sendMail,
+  sendLicenseIssuedEmail,
+  sendLicenseKeysEmail,
+  sendLoginLinkEmail,
+  sendRenewalReminderEmail,
+  sendLicenseExpiredEmail,
+  notifyLicenseIssued
+};
@@ -0,0 +1,195 @@
+// Prometheus metrics, served in the text exposition format at /metrics.
+// Counters and histograms are kept in process memory, so each server instance
+// is scraped separately. Label values should come from small fixed sets (plan
+// ids, outcomes, route patterns) to keep the number of series bounded.
+
+const PREFIX = 'pdfforge_';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values in labelNames order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+class Counter {
+  constructor({ name, help, labelNames = [] }) {
+    this.name = PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+    registry.push(this);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = seriesKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${formatLabels(labelsFromKey(this.labelNames, key))} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Histogram {
+  constructor({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    this.name = PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.values = new Map(); // key -> { counts: per bucket, sum, count }
+    registry.push(this);
+  }
+
+  observe(labels, value) {
+    const key = seriesKey(this.labelNames, labels);
+    let series = this.values.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const [key, series] of this.values) {
+      const labels = labelsFromKey(this.labelNames, key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+const metrics = {
+  trialStarts: new Counter({
+    name: 'trial_starts_total',
+    help: 'Trial start requests, by whether a new trial was created',
+    labelNames: ['result']
+  }),
+  trialStatusChecks: new Counter({
+    name: 'trial_status_checks_total',
+    help: 'Trial status checks, by trial state (active, expired, invalid)',
+    labelNames: ['state']
+  }),
+  licenseVerifications: new Counter({
+    name: 'license_verifications_total',
+    help: 'License verify requests, by outcome',
+    labelNames: ['result']
+  }),
+  licenseRedemptions: new Counter({
+    name: 'license_redemptions_total',
+    help: 'License redeem/activate requests, by endpoint and outcome',
+    labelNames: ['endpoint', 'result']
+  }),
+  licensesIssued: new Counter({
+    name: 'licenses_issued_total',
+    help: 'Licenses issued, by license plan',
+    labelNames: ['plan']
+  }),
+  paymentsCreated: new Counter({
+    name: 'payments_created_total',
+    help: 'Payments started, by plan, flow (embedded, checkout, upgrade) and outcome',
+    labelNames: ['plan', 'flow', 'result']
+  }),
+  paymentsVerified: new Counter({
+    name: 'payments_verified_total',
+    help: 'Payment verifications before issuing a license, by plan and outcome',
+    labelNames: ['plan', 'result']
+  }),
+  webhookEvents: new Counter({
+    name: 'webhook_events_total',
+    help: 'Payment webhook events, by event type and result (processed, duplicate, failed)',
+    labelNames: ['type', 'result']
+  }),
+  renewalReminders: new Counter({
+    name: 'renewal_reminders_total',
+    help: 'Renewal reminders (by days before expiry) and expiry notices sent',
+    labelNames: ['reminder']
+  }),
+  receiptsIssued: new Counter({
+    name: 'receipts_issued_total',
+    help: 'PDF receipts issued, by kind (purchase, renewal, upgrade, plan_change)',
+    labelNames: ['kind']
+  }),
+  updateChecks: new Counter({
+    name: 'update_checks_total',
+    help: 'Desktop app update checks, by outcome (update, current, denied)',
+    labelNames: ['result']
+  }),
+  releaseDownloads: new Counter({
+    name: 'release_downloads_total',
+    help: 'Release artifact downloads through signed links, by platform',
+    labelNames: ['platform']
+  }),
+  rateLimitRejections: new Counter({
+    name: 'rate_limit_rejections_total',
+    help: 'Requests rejected by a rate limiter',
+    labelNames: ['limiter']
+  }),
+  httpRequestDuration: new Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency, by method, route pattern and status code',
+    labelNames: ['method', 'route', 'status']
+  })
+};
+
+// Express middleware timing every request. Routes are labelled by their
+// pattern (/api/admin/licenses/:key), never the raw path.
+function metricsMiddleware() {
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      metrics.httpRequestDuration.observe(
+        { method: req.method, route, status: res.statusCode },
+        Number(process.hrtime.bigint() - startedAt) / 1e9
+      );
+    });
+    next();
+  };
+}
+
+// Everything in the Prometheus text format
+function renderMetrics() {
+  const uptime = [
+    `# HELP ${PREFIX}process_uptime_seconds Seconds since the server started`,
+    `# TYPE ${PREFIX}process_uptime_seconds gauge`,
+    `${PREFIX}process_uptime_seconds ${process.uptime()}`
+  ].join('\n');
+  return `${[...registry.map((metric) => metric.render()), uptime].join('\n')}\n`;
+}
+
+module.exports = {
+  metrics,
+  metricsMiddleware,
+  renderMetrics
+};
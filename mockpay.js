@@ -0,0 +1,520 @@
+// Local payment provider for development and tests (PAYMENT_PROVIDER=mock).
+// Nothing leaves the machine: customers, payments, subscriptions and Checkout
+// sessions live in memory and start out unpaid. The simulate* functions
+// (exposed under /api/mock by server.js) settle, fail, refund or renew them,
+// firing the same Stripe-shaped webhook events a real payment would, so the
+// whole purchase -> license pipeline runs offline. Promo coupons are recorded
+// but not applied to subscription invoices.
+
+const crypto = require('crypto');
+const { config } = require('./config.js');
+const { getPlan, planInCurrency } = require('./plans.js');
+const { addressMetadata, metadataAddress } = require('./billingaddress.js');
+const { safeEqual } = require('./safeequal.js');
+
+if (config.isProduction) {
+  throw new Error('PAYMENT_PROVIDER=mock must not be used in production');
+}
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Mock events are signed like Stripe's (Stripe-Signature: t=...,v1=...) with a
+// secret that never leaves the process, so only the mock itself can make
+// events that parseWebhook accepts
+const WEBHOOK_SECRET = crypto.randomBytes(32).toString('hex');
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+const customers = new Map(); // id -> customer
+const paymentIntents = new Map(); // id -> payment intent
+const subscriptions = new Map(); // id -> subscription
+const invoices = new Map(); // id -> invoice
+const charges = new Map(); // id -> charge
+const checkoutSessions = new Map(); // id -> checkout session
+
+function mockId(prefix) {
+  return `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Events carry a snapshot, not the live object
+function snapshot(object) {
+  return JSON.parse(JSON.stringify(object));
+}
+
+// Billing address in Stripe's shape
+function mockAddress(billingAddress) {
+  return billingAddress ? {
+    line1: billingAddress.line1 || null,
+    line2: billingAddress.line2 || null,
+    city: billingAddress.city || null,
+    state: billingAddress.state || null,
+    postal_code: billingAddress.postalCode || null,
+    country: billingAddress.country || 'US'
+  } : null;
+}
+
+// Like stripe.js, a returning customer is left as it is; the purchase's
+// address and tax id go on its payment intent or subscription
+function findOrCreateCustomer({ name, email, billingAddress, taxId }) {
+  for (const customer of customers.values()) {
+    if (customer.email === email) return customer;
+  }
+  const customer = {
+    id: mockId('cus'),
+    object: 'customer',
+    name: name || null,
+    email: email || null,
+    address: mockAddress(billingAddress),
+    metadata: taxId ? { taxId } : {}
+  };
+  customers.set(customer.id, customer);
+  return customer;
+}
+
+function webhookSignature(timestamp, payload) {
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+// Run a synthetic event through the normal webhook processing, signed and
+// parsed as a delivery would be
+async function fireEvent(type, object) {
+  const payload = JSON.stringify({ id: mockId('evt'), object: 'event', type, created: nowSeconds(), data: { object: snapshot(object) } });
+  const timestamp = nowSeconds();
+  const event = parseWebhook(payload, `t=${timestamp},v1=${webhookSignature(timestamp, payload)}`);
+  // Required here rather than at the top: webhooks.js uses this provider
+  const { processStripeEvent } = require('./webhooks.js');
+  const result = await processStripeEvent(event);
+  return { id: event.id, type, ok: !result.error };
+}
+
+function createPaymentIntentRecord({ amount, currency, customer, metadata, invoice = null }) {
+  const id = mockId('pi');
+  const paymentIntent = {
+    id,
+    object: 'payment_intent',
+    amount,
+    currency,
+    customer,
+    metadata,
+    invoice,
+    status: 'requires_payment_method',
+    client_secret: `${id}_secret`,
+    latest_charge: null
+  };
+  paymentIntents.set(id, paymentIntent);
+  return paymentIntent;
+}
+
+// Price object for a (currency-specific) plan
+function mockPrice(plan) {
+  return { id: plan.stripePriceId || `price_mock_${plan.id}_${plan.currency}`, currency: plan.currency, unit_amount: plan.amount };
+}
+
+function periodEnd(plan, fromSeconds) {
+  return fromSeconds + (plan.durationDays || 365) * DAY_SECONDS;
+}
+
+// Open invoice for a subscription's next period, paid through its own
+// payment intent
+function createInvoice(subscription) {
+  const item = subscription.items.data[0];
+  const plan = getPlan(subscription.metadata.plan);
+  const customer = customers.get(subscription.customer);
+  const id = mockId('in');
+  const paymentIntent = createPaymentIntentRecord({
+    amount: item.price.unit_amount * item.quantity,
+    currency: item.price.currency,
+    customer: customer.id,
+    metadata: {},
+    invoice: id
+  });
+
+  const periodStart = Math.max(subscription.current_period_end || 0, nowSeconds());
+  const invoice = {
+    id,
+    object: 'invoice',
+    subscription: subscription.id,
+    billing_reason: subscription.latest_invoice ? 'subscription_cycle' : 'subscription_create',
+    customer: customer.id,
+    customer_name: customer.name,
+    customer_email: customer.email,
+    customer_address: customer.address,
+    customer_tax_ids: [],
+    amount_due: paymentIntent.amount,
+    amount_paid: 0,
+    currency: paymentIntent.currency,
+    payment_intent: paymentIntent.id,
+    charge: null,
+    status: 'open',
+    next_payment_attempt: null,
+    lines: {
+      data: [{
+        quantity: item.quantity,
+        price: item.price,
+        period: { start: periodStart, end: periodEnd(plan, periodStart) }
+      }]
+    },
+    subscription_details: { metadata: subscription.metadata }
+  };
+  invoices.set(id, invoice);
+  subscription.latest_invoice = id;
+  return invoice;
+}
+
+function createSubscriptionRecord({ plan, quantity, customer, metadata }) {
+  const subscription = {
+    id: mockId('sub'),
+    object: 'subscription',
+    customer: customer.id,
+    status: 'incomplete',
+    items: { data: [{ id: mockId('si'), price: mockPrice(plan), quantity }] },
+    current_period_end: null,
+    latest_invoice: null,
+    metadata
+  };
+  subscriptions.set(subscription.id, subscription);
+  createInvoice(subscription);
+  return subscription;
+}
+
+function getOrThrow(map, id, what) {
+  const object = map.get(id);
+  if (!object) throw new Error(`No such ${what}: ${id}`);
+  return object;
+}
+
+// The payment intent behind a payment intent id, or behind a subscription's
+// latest invoice
+function paymentIntentFor(id) {
+  if (subscriptions.has(id)) {
+    const invoice = invoices.get(subscriptions.get(id).latest_invoice);
+    return paymentIntents.get(invoice.payment_intent);
+  }
+  return getOrThrow(paymentIntents, id, 'payment');
+}
+
+// ---------------------------------------------------------------------------
+// Provider interface (see payments.js)
+// ---------------------------------------------------------------------------
+
+async function createPaymentIntent({ plan, amount, quantity = 1, promoCode, upgradeLicenseKey, upgradeSubscriptionId, name, email, billingAddress, taxId }) {
+  const customer = findOrCreateCustomer({ name, email, billingAddress, taxId });
+  const paymentIntent = createPaymentIntentRecord({
+    amount,
+    currency: plan.currency,
+    customer: customer.id,
+    metadata: {
+      plan: plan.id,
+      name,
+      email,
+      quantity: String(quantity),
+      ...(promoCode ? { promoCode } : {}),
+      ...(upgradeLicenseKey ? { upgradeLicenseKey } : {}),
+      ...(upgradeSubscriptionId ? { upgradeSubscriptionId } : {}),
+      ...addressMetadata(mockAddress(billingAddress)),
+      ...(taxId ? { taxId } : {})
+    }
+  });
+
+  return {
+    ok: true,
+    paymentIntentId: paymentIntent.id,
+    clientSecret: paymentIntent.client_secret,
+    customerId: customer.id
+  };
+}
+
+async function createSubscription({ plan, quantity = 1, promo, name, email, billingAddress, taxId }) {
+  const customer = findOrCreateCustomer({ name, email, billingAddress, taxId });
+  const subscription = createSubscriptionRecord({
+    plan,
+    quantity,
+    customer,
+    metadata: {
+      plan: plan.id,
+      customerName: name,
+      customerEmail: email,
+      quantity: String(quantity),
+      ...(promo ? { promoCode: promo.code } : {}),
+      ...addressMetadata(mockAddress(billingAddress)),
+      ...(taxId ? { taxId } : {})
+    }
+  });
+
+  return {
+    ok: true,
+    subscriptionId: subscription.id,
+    clientSecret: paymentIntentFor(subscription.id).client_secret,
+    customerId: customer.id
+  };
+}
+
+async function verifyPayment(type, id) {
+  const source = type === 'subscription' ? subscriptions.get(id) : paymentIntents.get(id);
+  if (!source) {
+    return { success: false, error: `No such ${type}: ${id}` };
+  }
+
+  const customer = customers.get(source.customer) || {};
+  const metadata = source.metadata || {};
+  const isSubscription = type === 'subscription';
+  return {
+    success: isSubscription ? ['active', 'trialing'].includes(source.status) : source.status === 'succeeded',
+    customerInfo: {
+      name: customer.name || metadata.name || metadata.customerName,
+      email: customer.email || metadata.email || metadata.customerEmail,
+      address: metadataAddress(metadata) || customer.address || null,
+      taxId: metadata.taxId || customer.metadata?.taxId || null
+    },
+    planId: metadata.plan || null,
+    promoCode: metadata.promoCode || null,
+    quantity: isSubscription ? source.items.data[0].quantity : parseInt(metadata.quantity || '1', 10),
+    upgradeLicenseKey: metadata.upgradeLicenseKey || null,
+    upgradeSubscriptionId: metadata.upgradeSubscriptionId || null,
+    customerId: source.customer || null,
+    amount: isSubscription ? null : source.amount,
+    currency: isSubscription ? null : source.currency,
+    invoice: isSubscription && source.latest_invoice ? snapshot(invoices.get(source.latest_invoice)) : null
+  };
+}
+
+// Throws unless the event was signed by this process, recently
+function parseWebhook(rawBody, signature) {
+  const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody;
+  const parts = Object.fromEntries(String(signature || '').split(',').map((part) => part.split('=', 2)));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || Math.abs(nowSeconds() - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+    throw new Error('Mock webhook signature missing or expired');
+  }
+  if (!safeEqual(webhookSignature(timestamp, payload), parts.v1 || '')) {
+    throw new Error('Mock webhook signature does not match');
+  }
+  return JSON.parse(payload);
+}
+
+// One coupon per promo and version of its terms, as with stripe.js
+async function createCoupon(promo) {
+  return `coupon_mock_${promo.code}_v${promo.termsVersion || 1}`;
+}
+
+async function retrieveCharge(chargeId) {
+  return snapshot(getOrThrow(charges, chargeId, 'charge'));
+}
+
+async function getInvoiceSubscription(invoiceId) {
+  const invoice = invoices.get(invoiceId);
+  return invoice ? invoice.subscription : null;
+}
+
+async function changeSubscriptionPlan(subscriptionId, plan) {
+  const subscription = getOrThrow(subscriptions, subscriptionId, 'subscription');
+  subscription.items.data[0].price = mockPrice(plan);
+  subscription.metadata = { ...subscription.metadata, plan: plan.id };
+  subscription.current_period_end = periodEnd(plan, nowSeconds());
+  await fireEvent('customer.subscription.updated', subscription);
+  return snapshot(subscription);
+}
+
+// Cancel and fire the deletion event; resolves to the event
+function cancel(subscriptionId) {
+  const subscription = getOrThrow(subscriptions, subscriptionId, 'subscription');
+  if (subscription.status === 'canceled') {
+    throw new Error(`Subscription ${subscriptionId} is already canceled`);
+  }
+  subscription.status = 'canceled';
+  return fireEvent('customer.subscription.deleted', subscription);
+}
+
+async function cancelSubscription(subscriptionId) {
+  await cancel(subscriptionId);
+  return snapshot(subscriptions.get(subscriptionId));
+}
+
+// The session's "hosted page" is a mock route that completes it straight away
+async function createCheckoutSession({ plan, quantity = 1, promo, email, successUrl, cancelUrl }) {
+  const id = mockId('cs');
+  checkoutSessions.set(id, {
+    id,
+    object: 'checkout.session',
+    mode: plan.billing === 'subscription' ? 'subscription' : 'payment',
+    status: 'open',
+    payment_status: 'unpaid',
+    amount_total: plan.amount * quantity,
+    currency: plan.currency,
+    customer: null,
+    customer_details: email ? { name: null, email, address: null, tax_ids: [] } : null,
+    payment_intent: null,
+    subscription: null,
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    metadata: {
+      plan: plan.id,
+      quantity: String(quantity),
+      ...(promo ? { promoCode: promo.code } : {})
+    }
+  });
+
+  return { sessionId: id, url: `${new URL(successUrl).origin}/api/mock/checkout/${id}` };
+}
+
+async function retrieveCheckoutSession(sessionId) {
+  return snapshot(getOrThrow(checkoutSessions, sessionId, 'checkout session'));
+}
+
+// There is no portal to show; send the customer straight back
+async function createPortalSession(customerId, returnUrl) {
+  return returnUrl;
+}
+
+async function getSubscriptionCustomer(subscriptionId) {
+  const subscription = subscriptions.get(subscriptionId);
+  return subscription ? subscription.customer : null;
+}
+
+// ---------------------------------------------------------------------------
+// Simulations. Each takes a payment intent or subscription id and resolves to
+// the list of events it fired.
+// ---------------------------------------------------------------------------
+
+// The customer pays: a one-time payment succeeds, or a subscription's open
+// invoice is paid and its period starts
+async function simulatePaymentSuccess(id) {
+  const paymentIntent = paymentIntentFor(id);
+  if (paymentIntent.status === 'succeeded') return [];
+
+  const charge = {
+    id: mockId('ch'),
+    object: 'charge',
+    payment_intent: paymentIntent.id,
+    invoice: paymentIntent.invoice,
+    amount: paymentIntent.amount,
+    amount_refunded: 0,
+    refunded: false
+  };
+  charges.set(charge.id, charge);
+  paymentIntent.status = 'succeeded';
+  paymentIntent.latest_charge = charge.id;
+
+  const events = [await fireEvent('payment_intent.succeeded', paymentIntent)];
+  if (paymentIntent.invoice) {
+    const invoice = invoices.get(paymentIntent.invoice);
+    invoice.status = 'paid';
+    invoice.amount_paid = invoice.amount_due;
+    invoice.charge = charge.id;
+
+    const subscription = subscriptions.get(invoice.subscription);
+    const isNew = subscription.status === 'incomplete';
+    subscription.status = 'active';
+    subscription.current_period_end = periodEnd(
+      getPlan(subscription.metadata.plan),
+      Math.max(subscription.current_period_end || 0, nowSeconds())
+    );
+
+    events.push(await fireEvent('invoice.payment_succeeded', invoice));
+    events.push(await fireEvent(isNew ? 'customer.subscription.created' : 'customer.subscription.updated', subscription));
+  }
+  return events;
+}
+
+// The card is declined. For subscriptions, `final: false` leaves Stripe-style
+// retries scheduled; the default is the last attempt.
+async function simulatePaymentFailure(id, { final = true } = {}) {
+  const paymentIntent = paymentIntentFor(id);
+  if (!paymentIntent.invoice) {
+    return [await fireEvent('payment_intent.payment_failed', paymentIntent)];
+  }
+
+  const invoice = invoices.get(paymentIntent.invoice);
+  invoice.next_payment_attempt = final ? null : nowSeconds() + 3 * DAY_SECONDS;
+  if (final) subscriptions.get(invoice.subscription).status = 'past_due';
+  return [await fireEvent('invoice.payment_failed', invoice)];
+}
+
+// Fully refund a one-time payment or a subscription's latest invoice
+async function simulateRefund(id) {
+  const paymentIntent = paymentIntentFor(id);
+  const charge = charges.get(paymentIntent.latest_charge);
+  if (!charge) throw new Error(`Payment ${paymentIntent.id} has not been paid`);
+
+  charge.refunded = true;
+  charge.amount_refunded = charge.amount;
+  return [await fireEvent('charge.refunded', charge)];
+}
+
+// Bill and pay the next period of an active subscription
+async function simulateRenewal(subscriptionId) {
+  const subscription = getOrThrow(subscriptions, subscriptionId, 'subscription');
+  if (subscription.status !== 'active') {
+    throw new Error(`Subscription ${subscriptionId} is ${subscription.status}`);
+  }
+  const invoice = createInvoice(subscription);
+  return simulatePaymentSuccess(invoice.payment_intent);
+}
+
+async function simulateCancellation(subscriptionId) {
+  return [await cancel(subscriptionId)];
+}
+
+// The customer finishes a Checkout Session. Resolves to the completed session
+// and the events fired.
+async function simulateCheckoutCompletion(sessionId) {
+  const session = getOrThrow(checkoutSessions, sessionId, 'checkout session');
+  if (session.status === 'complete') return { session: snapshot(session), events: [] };
+
+  const listed = getPlan(session.metadata.plan);
+  const plan = planInCurrency(listed, session.currency) || listed;
+  const quantity = parseInt(session.metadata.quantity, 10);
+  const customer = findOrCreateCustomer({
+    name: 'Mock Customer',
+    email: session.customer_details?.email || 'customer@example.com'
+  });
+
+  let events;
+  if (session.mode === 'subscription') {
+    const subscription = createSubscriptionRecord({ plan, quantity, customer, metadata: session.metadata });
+    session.subscription = subscription.id;
+    events = await simulatePaymentSuccess(subscription.id);
+  } else {
+    const paymentIntent = createPaymentIntentRecord({
+      amount: session.amount_total,
+      currency: session.currency,
+      customer: customer.id,
+      metadata: { ...session.metadata, checkoutSession: 'true' }
+    });
+    session.payment_intent = paymentIntent.id;
+    events = await simulatePaymentSuccess(paymentIntent.id);
+  }
+
+  session.status = 'complete';
+  session.payment_status = 'paid';
+  session.customer = customer.id;
+  session.customer_details = { name: customer.name, email: customer.email, address: customer.address, tax_ids: [] };
+  events.push(await fireEvent('checkout.session.completed', session));
+  return { session: snapshot(session), events };
+}
+
+module.exports = {
+  name: 'mock',
+  createPaymentIntent,
+  createSubscription,
+  verifyPayment,
+  parseWebhook,
+  createCoupon,
+  retrieveCharge,
+  getInvoiceSubscription,
+  changeSubscriptionPlan,
+  cancelSubscription,
+  createCheckoutSession,
+  retrieveCheckoutSession,
+  createPortalSession,
+  getSubscriptionCustomer,
+  simulatePaymentSuccess,
+  simulatePaymentFailure,
+  simulateRefund,
+  simulateRenewal,
+  simulateCancellation,
+  simulateCheckoutCompletion
+};
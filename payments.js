@@ -0,0 +1,55 @@
+// Payment provider used by the purchase, webhook and billing code, picked with
+// PAYMENT_PROVIDER:
+//   stripe - Stripe, via STRIPE_SECRET_KEY / STRIPE_WEBHOOK_SECRET (default)
+//   mock   - fully local simulation for development and tests (mockpay.js)
+//
+// Every provider implements the same interface:
+//   createPaymentIntent(args)       one-time payment; { ok, paymentIntentId, clientSecret, customerId }
+//   createSubscription(args)        { ok, subscriptionId, clientSecret, customerId }
+//   verifyPayment(type, id)         { success, customerInfo, planId, promoCode, quantity, amount,
+//                                   currency, invoice, ... }
+//   parseWebhook(rawBody, signature) verified webhook event; throws if it isn't genuine
+//   createCoupon(promo)             id of a provider-side coupon mirroring a promo
+//   retrieveCharge(id), getInvoiceSubscription(invoiceId)
+//   changeSubscriptionPlan(subscriptionId, plan), cancelSubscription(subscriptionId)
+//   createCheckoutSession(args), retrieveCheckoutSession(id)
+//   createPortalSession(customerId, returnUrl), getSubscriptionCustomer(subscriptionId)
+//
+// Payment objects and webhook events use Stripe's shapes, which is what
+// webhooks.js handles; another provider translates its own into them.
+
+const { config } = require('./config.js');
+
+function stripeProvider() {
+  const stripe = require('./stripe.js');
+  return {
+    name: 'stripe',
+    createPaymentIntent: stripe.createStripePaymentIntent,
+    createSubscription: stripe.createStripeSubscription,
+    verifyPayment: stripe.verifyStripePayment,
+    parseWebhook: stripe.parseStripeWebhook,
+    createCoupon: stripe.createStripeCoupon,
+    retrieveCharge: stripe.retrieveStripeCharge,
+    getInvoiceSubscription: stripe.getStripeInvoiceSubscription,
+    changeSubscriptionPlan: stripe.changeStripeSubscriptionPlan,
+    cancelSubscription: stripe.cancelStripeSubscription,
+    createCheckoutSession: stripe.createStripeCheckoutSession,
+    retrieveCheckoutSession: stripe.retrieveStripeCheckoutSession,
+    createPortalSession: stripe.createStripePortalSession,
+    getSubscriptionCustomer: stripe.getStripeSubscriptionCustomer
+  };
+}
+
+function createProvider() {
+  const kind = config.payments.provider;
+  switch (kind) {
+    case 'stripe':
+      return stripeProvider();
+    case 'mock':
+      return require('./mockpay.js');
+    default:
+      throw new Error(`Unknown PAYMENT_PROVIDER "${kind}" (expected stripe or mock)`);
+  }
+}
+
+module.exports = createProvider();
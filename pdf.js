@@ -0,0 +1,181 @@
+// Minimal PDF writer for single-page documents such as receipts: text in the
+// standard Helvetica fonts, lines and filled rectangles. Coordinates are in
+// points from the top-left corner of the page (the text y is its baseline).
+//
+// The standard fonts need no embedding but only cover WinAnsi (roughly
+// Latin-1); characters outside it are printed as "?".
+
+const A4 = { width: 595.28, height: 841.89 };
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// Glyph widths (1/1000 em) of the printable ASCII characters, from the
+// Helvetica and Helvetica-Bold AFM metrics; used to right-align text
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const DEFAULT_WIDTH = 556;
+
+// Characters WinAnsi places where Latin-1 has control codes
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+function encodeText(value) {
+  const bytes = [];
+  for (const char of String(value).normalize('NFC')) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char]) {
+      bytes.push(WIN_ANSI_EXTRAS[char]);
+    } else if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) {
+      bytes.push(code);
+    } else {
+      bytes.push(0x3f); // "?"
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// A PDF literal string: (...) with its delimiters and backslashes escaped
+function literal(value) {
+  return Buffer.concat([
+    Buffer.from('('),
+    Buffer.from(encodeText(value).toString('latin1').replace(/[\\()]/g, '\\$&'), 'latin1'),
+    Buffer.from(')')
+  ]);
+}
+
+function number(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+function color(hex) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+  if (!match) throw new Error(`Invalid color "${hex}"`);
+  return match.slice(1).map((part) => number(parseInt(part, 16) / 255)).join(' ');
+}
+
+function pdfDate(date) {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+class PdfDocument {
+  constructor({ width = A4.width, height = A4.height, title = null } = {}) {
+    this.width = width;
+    this.height = height;
+    this.title = title;
+    this.operations = []; // Buffers making up the page's content stream
+  }
+
+  // Width of `value` in points
+  widthOf(value, { font = 'regular', size = 10 } = {}) {
+    let units = 0;
+    for (const byte of encodeText(value)) {
+      units += (byte >= 0x20 && byte <= 0x7e ? WIDTHS[font][byte - 0x20] : DEFAULT_WIDTH);
+    }
+    return (units * size) / 1000;
+  }
+
+  text(x, y, value, { font = 'regular', size = 10, color: fill = '#000000', align = 'left' } = {}) {
+    if (!FONTS[font]) throw new Error(`Unknown font "${font}"`);
+    const width = this.widthOf(value, { font, size });
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+
+    this.operations.push(
+      Buffer.from(`BT /${FONTS[font].resource} ${number(size)} Tf ${color(fill)} rg ${number(left)} ${number(this.height - y)} Td `),
+      literal(value),
+      Buffer.from(' Tj ET\n')
+    );
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5, color: stroke = '#000000' } = {}) {
+    this.operations.push(Buffer.from(
+      `${number(width)} w ${color(stroke)} RG ${number(x1)} ${number(this.height - y1)} m ` +
+      `${number(x2)} ${number(this.height - y2)} l S\n`
+    ));
+    return this;
+  }
+
+  // Filled rectangle with its top-left corner at (x, y)
+  rect(x, y, width, height, { fill = '#000000' } = {}) {
+    this.operations.push(Buffer.from(
+      `${color(fill)} rg ${number(x)} ${number(this.height - y - height)} ${number(width)} ${number(height)} re f\n`
+    ));
+    return this;
+  }
+
+  // The finished file
+  toBuffer() {
+    const content = Buffer.concat(this.operations);
+    const objects = [
+      Buffer.from('<< /Type /Catalog /Pages 2 0 R >>'),
+      Buffer.from('<< /Type /Pages /Kids [3 0 R] /Count 1 >>'),
+      Buffer.from(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(this.width)} ${number(this.height)}] ` +
+        '/Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>'
+      ),
+      Buffer.concat([Buffer.from(`<< /Length ${content.length} >>\nstream\n`), content, Buffer.from('\nendstream')]),
+      ...Object.values(FONTS).map(({ baseFont }) => Buffer.from(
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`
+      )),
+      Buffer.concat([
+        Buffer.from('<< '),
+        ...(this.title ? [Buffer.from('/Title '), literal(this.title), Buffer.from(' ')] : []),
+        Buffer.from('/Producer '),
+        literal('PDF Forge Pro'),
+        Buffer.from(' /CreationDate '),
+        literal(pdfDate(new Date())),
+        Buffer.from(' >>')
+      ])
+    ];
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = objects.map((body, i) => {
+      const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+      chunks.push(chunk);
+      const start = offset;
+      offset += chunk.length;
+      return start;
+    });
+
+    chunks.push(Buffer.from([
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map((start) => `${String(start).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>`,
+      'startxref',
+      String(offset),
+      '%%EOF',
+      ''
+    ].join('\n')));
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = {
+  A4,
+  PdfDocument
+};
@@ -0,0 +1,281 @@
+// Plan catalog, loaded from PLANS_FILE (default plans.json).
+//
+// Each plan has:
+//   id              - what clients send as `plan` ("annual", "lifetime", ...)
+//   name            - display name
+//   licensePlan     - plan name stored on issued licenses ("pro-annual", ...)
+//   billing         - "subscription" (Stripe price) or "one_time" (payment intent)
+//   interval        - billing interval of subscription plans
+//   amount/currency - price in the smallest currency unit
+//   stripePriceId   - Stripe price of subscription plans
+//   prices          - regional prices: currency -> { amount, stripePriceId }
+//                     (subscription plans need a Stripe price per currency)
+//   durationDays    - license length; null never expires
+//   maxActivations  - devices one license may be activated on
+//   entitlements    - feature map the app unlocks for the plan; it is embedded
+//                     in license tokens (see entitlementsFor)
+//   perSeat         - sold by quantity (minSeats..maxSeats); the buyer gets an
+//                     owner license and hands out one member license per seat
+//   tier            - rank for release gating (see releases.js): a license gets
+//                     the releases whose minimum plan's tier is no higher than
+//                     its plan's (default 1)
+//
+// The catalog's "trial" entry holds the entitlements and tier (default 0) of
+// free trials, and its "regions" map each regional currency to the countries
+// (ISO 3166 alpha-2 codes) that are shown it. Buyers elsewhere, and plans
+// without a price in their currency, get the plan's own amount/currency.
+//
+// String values of the form "${ENV_VAR:-default}" are read from the
+// environment, so prices and Stripe ids can differ between deployments. The
+// resolved values are validated when the catalog loads, so a bad amount,
+// currency or price id stops the server from starting.
+
+const fs = require('fs');
+const { config } = require('./config.js');
+
+const PLANS_FILE = config.plansFile;
+const NUMERIC_FIELDS = ['amount', 'durationDays', 'maxActivations', 'minSeats', 'maxSeats', 'tier'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stripe won't take a card payment below this (in the smallest currency unit)
+const MIN_CHARGE_AMOUNT = 50;
+
+function resolveEnv(value) {
+  if (typeof value !== 'string') return value;
+  const match = value.match(/^\$\{(\w+)(?::-(.*))?\}$/);
+  if (!match) return value;
+  const resolved = process.env[match[1]];
+  return resolved !== undefined && resolved !== '' ? resolved : match[2] || null;
+}
+
+function loadPlan(raw) {
+  const plan = {};
+  for (const [field, value] of Object.entries(raw)) {
+    plan[field] = field === 'prices' ? value : resolveEnv(value);
+  }
+  for (const field of NUMERIC_FIELDS) {
+    if (plan[field] !== null && plan[field] !== undefined) {
+      plan[field] = Number(plan[field]);
+    }
+  }
+  plan.currency = (plan.currency || 'usd').toLowerCase();
+  if (plan.tier === undefined || plan.tier === null) plan.tier = 1;
+
+  if (!plan.id || !plan.licensePlan || !['subscription', 'one_time'].includes(plan.billing)) {
+    throw new Error(`Invalid plan in ${PLANS_FILE}: ${JSON.stringify(raw)}`);
+  }
+  const problem = planProblem(plan);
+  if (problem) {
+    throw new Error(`Invalid plan "${plan.id}" in ${PLANS_FILE}: ${problem}`);
+  }
+  plan.prices = loadPrices(plan, raw.prices || {});
+  plan.available = isSellable(plan, plan.stripePriceId);
+  return plan;
+}
+
+// Every price of a plan by currency, its own included. A regional price in
+// the plan's own currency (e.g. CURRENCY=eur) is ignored.
+function loadPrices(plan, rawPrices) {
+  const prices = { [plan.currency]: { amount: plan.amount, stripePriceId: plan.stripePriceId || null } };
+  for (const [code, raw] of Object.entries(rawPrices)) {
+    const price = {
+      ...plan,
+      currency: code.toLowerCase(),
+      amount: Number(resolveEnv(raw.amount)),
+      stripePriceId: resolveEnv(raw.stripePriceId) || null
+    };
+    const problem = planProblem(price);
+    if (problem) {
+      throw new Error(`Invalid ${code} price for plan "${plan.id}" in ${PLANS_FILE}: ${problem}`);
+    }
+    if (!prices[price.currency]) {
+      prices[price.currency] = { amount: price.amount, stripePriceId: price.stripePriceId };
+    }
+  }
+  return prices;
+}
+
+// A subscription plan without a Stripe price can't be sold yet (the mock
+// payment provider doesn't need one)
+function isSellable(plan, stripePriceId) {
+  return plan.billing === 'one_time' || Boolean(stripePriceId) || config.payments.provider === 'mock';
+}
+
+// What's wrong with a resolved plan's price, or null
+function planProblem(plan) {
+  if (!Number.isInteger(plan.amount) || plan.amount < MIN_CHARGE_AMOUNT) {
+    return `amount must be a whole number of at least ${MIN_CHARGE_AMOUNT} (smallest currency unit)`;
+  }
+  if (!/^[a-z]{3}$/.test(plan.currency)) {
+    return `currency must be a three-letter ISO code (got "${plan.currency}")`;
+  }
+  if (plan.stripePriceId && !/^(price|plan)_\w+$/.test(plan.stripePriceId)) {
+    return `stripePriceId must be a Stripe price id like price_... (got "${plan.stripePriceId}")`;
+  }
+  if (plan.maxActivations !== undefined && !(plan.maxActivations >= 1)) {
+    return 'maxActivations must be at least 1';
+  }
+  if (plan.tier !== undefined && !(Number.isInteger(plan.tier) && plan.tier >= 1)) {
+    return 'tier must be a whole number of at least 1';
+  }
+  return null;
+}
+
+const catalog = JSON.parse(fs.readFileSync(PLANS_FILE, 'utf8'));
+const plans = catalog.plans.map(loadPlan);
+const trialEntitlements = (catalog.trial && catalog.trial.entitlements) || {};
+const trialTier = Number((catalog.trial && catalog.trial.tier) || 0);
+if (!Number.isInteger(trialTier) || trialTier < 0) {
+  throw new Error(`Invalid trial tier in ${PLANS_FILE}: must be a whole number`);
+}
+
+// Country code -> regional currency
+const regionCurrencies = new Map();
+for (const [currency, countries] of Object.entries(catalog.regions || {})) {
+  for (const country of countries) {
+    regionCurrencies.set(country.toUpperCase(), currency.toLowerCase());
+  }
+}
+
+function getPlan(id) {
+  return plans.find((plan) => plan.id === id) || null;
+}
+
+function getPlanByLicensePlan(licensePlan) {
+  return plans.find((plan) => plan.licensePlan === licensePlan) || null;
+}
+
+// The plan a Stripe price belongs to, in whichever currency
+function getPlanByPriceId(priceId) {
+  return plans.find((plan) =>
+    priceId && Object.values(plan.prices).some((price) => price.stripePriceId === priceId)) || null;
+}
+
+// Regional currency for an ISO country code, or null
+function currencyForCountry(country) {
+  return (typeof country === 'string' && regionCurrencies.get(country.toUpperCase())) || null;
+}
+
+// The plan with amount, currency and Stripe price in `currency`, or null if
+// it has no price in that currency. Check `available` before selling it.
+function planInCurrency(plan, currency) {
+  const code = typeof currency === 'string' ? currency.toLowerCase() : null;
+  const price = code && plan.prices[code];
+  if (!price) return null;
+  return {
+    ...plan,
+    currency: code,
+    amount: price.amount,
+    stripePriceId: price.stripePriceId,
+    available: isSellable(plan, price.stripePriceId)
+  };
+}
+
+// The plan as priced for a buyer: in `currency` if one is asked for (null if
+// the plan isn't priced in it), otherwise in the regional currency of
+// `country` where the plan can be bought in it, otherwise as listed
+function pricePlan(plan, { currency, country } = {}) {
+  if (currency) return planInCurrency(plan, currency);
+  const regional = planInCurrency(plan, currencyForCountry(country));
+  return regional && regional.available ? regional : plan;
+}
+
+// Every plan as resolved, including unavailable ones and Stripe price ids
+function listPlans() {
+  return plans.map((plan) => ({ ...plan }));
+}
+
+// What /api/plans and /api/pricing show: plans that can be bought, priced for
+// a buyer's `currency` or `country` (see pricePlan), minus Stripe internals
+function listPublicPlans(buyer = {}) {
+  return plans
+    .map((plan) => pricePlan(plan, buyer))
+    .filter((plan) => plan && plan.available)
+    .map(({ stripePriceId, available, prices, ...plan }) => plan);
+}
+
+// Feature map embedded in a license's tokens: the plan's entitlements with
+// any per-license overrides on top
+function entitlementsFor(licensePlan, overrides = {}) {
+  const plan = getPlanByLicensePlan(licensePlan);
+  return { ...(plan ? plan.entitlements : {}), ...overrides };
+}
+
+function getTrialEntitlements() {
+  return { ...trialEntitlements };
+}
+
+// Release-gating tier of a plan id, or of "trial"; null for unknown ids
+function tierOf(planId) {
+  if (planId === 'trial') return trialTier;
+  const plan = getPlan(planId);
+  return plan ? plan.tier : null;
+}
+
+// Validate admin-supplied entitlement overrides, merged onto `existing`.
+// Features must be ones the catalog knows; values are booleans or limits
+// (non-negative integers), and null drops an override. Throws on bad input.
+function mergeEntitlementOverrides(existing, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new Error('entitlements must be an object of feature -> value');
+  }
+
+  const known = new Set([...plans, { entitlements: trialEntitlements }]
+    .flatMap((plan) => Object.keys(plan.entitlements || {})));
+  const merged = { ...existing };
+  for (const [feature, value] of Object.entries(changes)) {
+    if (!known.has(feature)) {
+      throw new Error(`Unknown feature "${feature}"`);
+    }
+    if (value === null) {
+      delete merged[feature];
+    } else if (typeof value === 'boolean' || (Number.isInteger(value) && value >= 0)) {
+      merged[feature] = value;
+    } else {
+      throw new Error(`${feature} must be true/false, a non-negative integer or null`);
+    }
+  }
+  return merged;
+}
+
+// Seat count for a purchase, or null if it is not valid for the plan.
+// Plans not sold per seat always have a quantity of 1.
+function parseQuantity(plan, quantity) {
+  if (!plan.perSeat) {
+    return quantity === undefined || quantity === null || Number(quantity) === 1 ? 1 : null;
+  }
+  const seats = Number(quantity);
+  const min = plan.minSeats || 1;
+  const max = plan.maxSeats || Infinity;
+  return Number.isInteger(seats) && seats >= min && seats <= max ? seats : null;
+}
+
+// License details for a new purchase of a plan
+function licenseForPlan(plan, { name, email }) {
+  const now = new Date();
+  return {
+    name: name || 'Licensed User',
+    email: email || '',
+    plan: plan.licensePlan,
+    purchasedAt: now.toISOString(),
+    expiresAt: plan.durationDays ? new Date(now.getTime() + plan.durationDays * DAY_MS).toISOString() : null
+  };
+}
+
+module.exports = {
+  MIN_CHARGE_AMOUNT,
+  getPlan,
+  getPlanByLicensePlan,
+  getPlanByPriceId,
+  currencyForCountry,
+  planInCurrency,
+  pricePlan,
+  listPlans,
+  listPublicPlans,
+  parseQuantity,
+  entitlementsFor,
+  getTrialEntitlements,
+  tierOf,
+  mergeEntitlementOverrides,
+  licenseForPlan
+};
@@ -0,0 +1,199 @@
+// Promo codes: percentage or fixed discounts with optional expiry, usage cap
+// and plan restrictions. Codes are created through the admin API.
+//
+// A capped code is reserved when a payment is created with it, so concurrent
+// checkouts can't use it more than maxRedemptions times. The reservation is
+// keyed by the payment's id and becomes a redemption once the payment has
+// produced a license; it is released if the payment can't be created, and
+// lapses after a day if the payment is never completed.
+
+const crypto = require('crypto');
+const store = require('./store.js');
+const { MIN_CHARGE_AMOUNT } = require('./plans.js');
+
+const PROMOS = 'promoCodes'; // CODE -> promo (reservations: { id -> reservedAt }, termsVersion)
+
+const RESERVATION_MS = 24 * 60 * 60 * 1000;
+
+// Promo fields that decide the discount a Stripe coupon has to mirror
+const DISCOUNT_FIELDS = ['type', 'value', 'currency'];
+
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// A promo's reservations that haven't lapsed
+function liveReservations(promo, now = Date.now()) {
+  return Object.fromEntries(Object.entries(promo.reservations || {})
+    .filter(([, reservedAt]) => now - new Date(reservedAt) < RESERVATION_MS));
+}
+
+// Validate and normalize an admin-supplied promo definition; throws on bad input
+function parsePromo(input) {
+  const code = normalizeCode(input.code);
+  if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+    throw new Error('code must be 3-32 letters, digits, _ or -');
+  }
+  if (!['percent', 'fixed'].includes(input.type)) {
+    throw new Error('type must be "percent" or "fixed"');
+  }
+
+  const value = Number(input.value);
+  if (!Number.isInteger(value) || value <= 0 || (input.type === 'percent' && value > 100)) {
+    throw new Error('value must be a whole percentage (1-100) or amount in cents');
+  }
+  if (input.expiresAt && isNaN(Date.parse(input.expiresAt))) {
+    throw new Error('expiresAt must be an ISO date');
+  }
+  if (input.maxRedemptions != null && !(Number.isInteger(input.maxRedemptions) && input.maxRedemptions > 0)) {
+    throw new Error('maxRedemptions must be a positive integer');
+  }
+
+  return {
+    code,
+    type: input.type,
+    value,
+    // Fixed discounts only apply to prices in this currency
+    currency: input.type === 'fixed' ? (input.currency || 'usd').toLowerCase() : null,
+    expiresAt: input.expiresAt ? new Date(input.expiresAt).toISOString() : null,
+    maxRedemptions: input.maxRedemptions || null,
+    plans: Array.isArray(input.plans) ? input.plans : [],
+    stripeCouponId: input.stripeCouponId || null,
+    stripePromotionCodeId: input.stripePromotionCodeId || null,
+    active: input.active !== false
+  };
+}
+
+class PromoCodeStore {
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  get(code) {
+    return this.adapter.get(PROMOS, normalizeCode(code));
+  }
+
+  list() {
+    return this.adapter.entries(PROMOS).map(([, promo]) => promo);
+  }
+
+  // Returns null if the code is already taken
+  create(input) {
+    const promo = parsePromo(input);
+    return this.adapter.transaction(() => {
+      if (this.get(promo.code)) return null;
+      const created = { ...promo, termsVersion: 1, redemptions: 0, reservations: {}, createdAt: new Date().toISOString() };
+      this.adapter.set(PROMOS, promo.code, created);
+      return created;
+    });
+  }
+
+  update(code, changes) {
+    return this.adapter.transaction(() => {
+      const existing = this.get(code);
+      if (!existing) return null;
+      const updated = { ...existing, ...changes, code: existing.code };
+      this.adapter.set(PROMOS, existing.code, updated);
+      return updated;
+    });
+  }
+
+  // Admin edit of a code's terms; re-validates the result and throws on bad input.
+  // A change to the discount itself bumps termsVersion and drops the Stripe
+  // coupon mirroring the old one, so the next purchase creates a new coupon.
+  change(code, changes) {
+    return this.adapter.transaction(() => {
+      const existing = this.get(code);
+      if (!existing) return null;
+      const updated = { ...existing, ...parsePromo({ ...existing, ...changes, code: existing.code }) };
+      if (DISCOUNT_FIELDS.some((field) => updated[field] !== existing[field])) {
+        updated.termsVersion = (existing.termsVersion || 1) + 1;
+        if (!changes.stripeCouponId) updated.stripeCouponId = null;
+      }
+      this.adapter.set(PROMOS, existing.code, updated);
+      return updated;
+    });
+  }
+
+  // Check a code against a plan and price it. Returns
+  // { ok: true, promo, discount, amount } or { ok: false, error }.
+  quote(code, plan) {
+    const promo = this.get(code);
+    if (!promo || !promo.active) {
+      return { ok: false, error: 'Invalid promo code' };
+    }
+    if (promo.expiresAt && new Date(promo.expiresAt) < new Date()) {
+      return { ok: false, error: 'Promo code has expired' };
+    }
+    const used = promo.redemptions + Object.keys(liveReservations(promo)).length;
+    if (promo.maxRedemptions && used >= promo.maxRedemptions) {
+      return { ok: false, error: 'Promo code has been used up' };
+    }
+    if (promo.plans.length && !promo.plans.includes(plan.id)) {
+      return { ok: false, error: 'Promo code does not apply to this plan' };
+    }
+    if (promo.type === 'fixed' && promo.currency !== plan.currency) {
+      return { ok: false, error: 'Promo code does not apply to this currency' };
+    }
+
+    const discount = promo.type === 'percent'
+      ? Math.round((plan.amount * promo.value) / 100)
+      : promo.value;
+    const amount = plan.amount - discount;
+    if (amount < MIN_CHARGE_AMOUNT) {
+      return { ok: false, error: 'Promo code does not apply to this plan' };
+    }
+
+    return { ok: true, promo, discount, amount };
+  }
+
+  // Quote a code and reserve a use of it in one transaction. Returns the
+  // quote with a `reservation` id to pass to attach() or release().
+  reserve(code, plan) {
+    return this.adapter.transaction(() => {
+      const quote = this.quote(code, plan);
+      if (!quote.ok) return quote;
+      const reservation = `pending_${crypto.randomBytes(8).toString('hex')}`;
+      const reservations = { ...liveReservations(quote.promo), [reservation]: new Date().toISOString() };
+      const promo = { ...quote.promo, reservations };
+      this.adapter.set(PROMOS, promo.code, promo);
+      return { ...quote, promo, reservation };
+    });
+  }
+
+  // Key a reservation by the payment (intent, subscription or Checkout
+  // session id) created with it, once that has been created
+  attach(code, reservation, paymentId) {
+    this.adapter.transaction(() => {
+      const existing = this.get(code);
+      if (!existing || !existing.reservations || !existing.reservations[reservation]) return;
+      const { [reservation]: reservedAt, ...reservations } = existing.reservations;
+      this.adapter.set(PROMOS, existing.code, { ...existing, reservations: { ...reservations, [paymentId]: reservedAt } });
+    });
+  }
+
+  // Give back a reservation whose payment couldn't be created
+  release(code, reservation) {
+    this.adapter.transaction(() => {
+      const existing = this.get(code);
+      if (!existing || !existing.reservations || !existing.reservations[reservation]) return;
+      const { [reservation]: released, ...reservations } = existing.reservations;
+      this.adapter.set(PROMOS, existing.code, { ...existing, reservations });
+    });
+  }
+
+  // Count a use of a code once its purchase (`paymentId`) has produced a
+  // license, in place of the purchase's reservation
+  redeem(code, paymentId) {
+    return this.adapter.transaction(() => {
+      const existing = this.get(code);
+      if (!existing) return null;
+      const { [paymentId]: reserved, ...reservations } = existing.reservations || {};
+      const updated = { ...existing, reservations, redemptions: existing.redemptions + 1 };
+      this.adapter.set(PROMOS, existing.code, updated);
+      return updated;
+    });
+  }
+}
+
+module.exports = new PromoCodeStore(store.adapter);
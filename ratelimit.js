@@ -0,0 +1,164 @@
+// Rate limiting for the public API.
+//
+// Each limiter allows `max` requests per `windowMs`, using a sliding window
+// (the previous window's count is weighted by how much of it still overlaps).
+// A request is counted against the client IP and, when it names one, against
+// the license key or email it is about, so neither rotating IPs nor rotating
+// keys gets around the limit. As anyone can name someone else's key or email,
+// only requests that fail (4xx/5xx) count against it by default, so callers
+// can't lock its owner out with requests that succeed. Responses carry
+// RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers, plus
+// Retry-After on a 429.
+//
+// Counters live in a storage adapter (see storage.js), picked by
+// RATE_LIMIT_STORE:
+//   memory - per process (default)
+//   shared - the license store's adapter, so server instances sharing a
+//            STORE_DIR share their counters
+// Any other adapter with the same interface can be passed as `adapter`.
+
+const crypto = require('crypto');
+const { config } = require('./config.js');
+const { MemoryAdapter } = require('./storage.js');
+const { logger } = require('./logger.js');
+const { metrics } = require('./metrics.js');
+
+const COUNTERS = 'rateLimits'; // key -> { windowMs, window, current, previous }
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+class RateLimitCounters {
+  constructor(adapter) {
+    this.adapter = adapter;
+    // Drop counters idle for over a window so memory doesn't grow with every
+    // client ever seen
+    setInterval(() => this.prune(), PRUNE_INTERVAL_MS).unref();
+  }
+
+  // Count a hit against each key in one transaction (so one write to a
+  // shared store); returns each key's { current, previous } for the window
+  // containing `now` and the one before it
+  hit(keys, windowMs, now = Date.now()) {
+    return this.adapter.transaction(() => keys.map((key) => {
+      const counts = this.peek(key, windowMs, now);
+      counts.current++;
+      this.adapter.set(COUNTERS, key, { windowMs, window: Math.floor(now / windowMs), ...counts });
+      return counts;
+    }));
+  }
+
+  // A key's counts without counting a hit
+  peek(key, windowMs, now = Date.now()) {
+    const window = Math.floor(now / windowMs);
+    const entry = this.adapter.get(COUNTERS, key);
+    if (entry && entry.window === window) return { current: entry.current, previous: entry.previous };
+    if (entry && entry.window === window - 1) return { current: 0, previous: entry.current };
+    return { current: 0, previous: 0 };
+  }
+
+  prune(now = Date.now()) {
+    this.adapter.transaction(() => {
+      for (const [key, entry] of this.adapter.entries(COUNTERS)) {
+        if (entry.window < Math.floor(now / entry.windowMs) - 1) {
+          this.adapter.delete(COUNTERS, key);
+        }
+      }
+    });
+  }
+}
+
+let defaultCounters = null;
+
+function getDefaultCounters() {
+  if (defaultCounters) return defaultCounters;
+
+  const kind = config.rateLimitStore;
+  switch (kind) {
+    case 'memory':
+      defaultCounters = new RateLimitCounters(new MemoryAdapter());
+      break;
+    case 'shared':
+      defaultCounters = new RateLimitCounters(require('./store.js').adapter);
+      break;
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${kind}" (expected memory or shared)`);
+  }
+  return defaultCounters;
+}
+
+// The license key (or token) or email a request is about, hashed so long
+// tokens make short keys; null when it names neither
+function requestIdentity(req) {
+  const body = req.body || {};
+  const value = [body.licenseKey, body.token, body.email]
+    .find((candidate) => typeof candidate === 'string' && candidate.trim());
+  if (!value) return null;
+  return crypto.createHash('sha256').update(value.trim().toLowerCase()).digest('hex').slice(0, 32);
+}
+
+// TRUST_PROXY for Express's "trust proxy" setting: "true"/"false", a hop
+// count, or a comma-separated list of proxy addresses/subnets. With the
+// default (false), X-Forwarded-For is ignored and req.ip is the peer address.
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+}
+
+// Express middleware; `name` keeps each limiter's counters apart. With
+// `countIdentity: 'all'`, every request counts against the key or email it
+// names, not just failed ones.
+function createRateLimiter({ name, windowMs, max, message, adapter, identify = requestIdentity, countIdentity = 'failures' }) {
+  const counters = adapter ? new RateLimitCounters(adapter) : null;
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const store = counters || getDefaultCounters();
+    const elapsed = (now % windowMs) / windowMs;
+    const weigh = ({ current, previous }) => Math.floor(previous * (1 - elapsed)) + current;
+
+    const identity = identify(req);
+    const identityKey = identity ? `${name}:id:${identity}` : null;
+    const countFailures = identityKey && countIdentity !== 'all';
+    const keys = [`${name}:ip:${req.ip}`];
+    if (identityKey && !countFailures) keys.push(identityKey);
+
+    // The tightest of the IP and identity counters decides; an identity that
+    // only counts failures would have one more if this request fails
+    const usage = store.hit(keys, windowMs, now).map(weigh);
+    if (countFailures) usage.push(weigh(store.peek(identityKey, windowMs, now)) + 1);
+    const used = Math.max(...usage);
+
+    const resetSeconds = Math.ceil((windowMs - (now % windowMs)) / 1000);
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - used)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (used > max) {
+      metrics.rateLimitRejections.inc({ limiter: name });
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ ok: false, error: message });
+    }
+
+    if (countFailures) {
+      res.on('finish', () => {
+        if (res.statusCode < 400) return;
+        try {
+          store.hit([identityKey], windowMs);
+        } catch (error) {
+          logger.error('Rate limit counter update failed', { limiter: name, error });
+        }
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  RateLimitCounters,
+  createRateLimiter,
+  parseTrustProxy,
+  requestIdentity
+};
@@ -0,0 +1,294 @@
+// PDF receipts for completed payments, rendered locally (pdf.js). Every paid
+// purchase, upgrade and subscription invoice (so each renewal, too) gets a
+// receipt with the next sequential invoice number, e.g. PFP-000042, and the
+// billing details the customer paid with. Receipts are keyed by the payment
+// they are for, so the webhook and the purchase routes can both record one and
+// still end up with a single receipt.
+//
+// Customers download them from /api/billing/receipts with their license key.
+
+const crypto = require('crypto');
+const store = require('./store.js');
+const { config } = require('./config.js');
+const { getPlan, getPlanByPriceId } = require('./plans.js');
+const payments = require('./payments.js');
+const { PdfDocument } = require('./pdf.js');
+const { metrics } = require('./metrics.js');
+const { metadataAddress } = require('./billingaddress.js');
+
+const RECEIPTS = 'receipts'; // id -> receipt
+const REFERENCES = 'receiptReferences'; // payment intent or invoice id -> receipt id
+const SEQUENCES = 'sequences'; // name -> last number used
+const INVOICE_SEQUENCE = 'invoiceNumber';
+
+// Stripe invoice billing_reason -> receipt kind
+const INVOICE_KINDS = {
+  subscription_create: 'purchase',
+  subscription_cycle: 'renewal',
+  subscription_update: 'plan_change'
+};
+
+const KIND_LABELS = {
+  purchase: 'Purchase',
+  renewal: 'Renewal',
+  upgrade: 'Upgrade',
+  plan_change: 'Plan change'
+};
+
+function isoFromSeconds(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+function firstTaxId(taxIds) {
+  return (Array.isArray(taxIds) && taxIds[0] && taxIds[0].value) || null;
+}
+
+// Amounts are in the currency's minor unit (cents), like plan prices
+function formatAmount(amount, currency) {
+  const format = new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+    currencyDisplay: 'code'
+  });
+  return format.format(amount / 10 ** format.resolvedOptions().maximumFractionDigits);
+}
+
+// A Stripe-shaped address as printable lines
+function addressLines(address) {
+  if (!address) return [];
+  const locality = [address.city, address.state, address.postal_code].filter(Boolean).join(' ');
+  return [address.line1, address.line2, locality, address.country].filter(Boolean);
+}
+
+class Receipts {
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  get(id) {
+    return this.adapter.get(RECEIPTS, id);
+  }
+
+  getByReference(reference) {
+    const id = this.adapter.get(REFERENCES, reference);
+    return id ? this.get(id) : null;
+  }
+
+  // Oldest first
+  listForLicense(key) {
+    return this.adapter.entries(RECEIPTS)
+      .map(([, receipt]) => receipt)
+      .filter((receipt) => receipt.licenseKey === key)
+      .sort((a, b) => (a.issuedAt < b.issuedAt ? -1 : 1));
+  }
+
+  // Store a receipt for a payment, numbering it; returns the existing one if
+  // the payment already has a receipt. Zero-amount payments get none.
+  issue(licenseKey, payment) {
+    if (!payment.amount) return null;
+
+    const receipt = this.adapter.transaction(() => {
+      const existing = this.getByReference(payment.reference);
+      if (existing) return null;
+
+      const number = (this.adapter.get(SEQUENCES, INVOICE_SEQUENCE) || 0) + 1;
+      const plan = getPlan(payment.planId);
+      const record = {
+        id: `rcpt_${crypto.randomBytes(12).toString('hex')}`,
+        invoiceNumber: `${config.receipts.invoicePrefix}-${String(number).padStart(6, '0')}`,
+        licenseKey,
+        reference: payment.reference,
+        kind: payment.kind,
+        issuedAt: new Date().toISOString(),
+        planId: payment.planId || null,
+        description: plan ? plan.name : 'PDF Forge Pro license',
+        quantity: payment.quantity || 1,
+        amount: payment.amount,
+        currency: payment.currency.toLowerCase(),
+        periodStart: payment.periodStart || null,
+        periodEnd: payment.periodEnd || null,
+        billing: {
+          name: payment.name || null,
+          email: payment.email || null,
+          address: payment.address || null,
+          taxId: payment.taxId || null
+        }
+      };
+
+      this.adapter.set(SEQUENCES, INVOICE_SEQUENCE, number);
+      this.adapter.set(RECEIPTS, record.id, record);
+      this.adapter.set(REFERENCES, record.reference, record.id);
+      store.recordLicenseEvent('license.receipt_issued', licenseKey, {
+        receiptId: record.id,
+        invoiceNumber: record.invoiceNumber,
+        amount: record.amount,
+        currency: record.currency
+      });
+      return record;
+    });
+
+    if (!receipt) return this.getByReference(payment.reference);
+    metrics.receiptsIssued.inc({ kind: receipt.kind });
+    return receipt;
+  }
+
+  // Receipt for a one-time purchase or upgrade paid by a payment intent.
+  // `verification` is the provider's verifyPayment result, if already fetched.
+  async recordPaymentIntent(licenseKey, paymentIntentId, verification = null) {
+    const existing = this.getByReference(paymentIntentId);
+    if (existing) return existing;
+
+    const payment = verification || (await payments.verifyPayment('payment_intent', paymentIntentId));
+    if (!payment.success) {
+      throw new Error(`Payment ${paymentIntentId} has not succeeded`);
+    }
+    return this.issue(licenseKey, {
+      reference: paymentIntentId,
+      kind: payment.upgradeLicenseKey ? 'upgrade' : 'purchase',
+      // Payment intents created before the plan catalog were all lifetime
+      planId: payment.planId || 'lifetime',
+      quantity: payment.quantity,
+      amount: payment.amount,
+      currency: payment.currency,
+      ...payment.customerInfo
+    });
+  }
+
+  // Receipt for a paid subscription invoice: the first period, each renewal
+  // and prorated plan changes
+  recordInvoice(licenseKey, invoice) {
+    const line = invoice.lines?.data?.[0] || {};
+    const pricePlan = line.price?.id && getPlanByPriceId(line.price.id);
+    return this.issue(licenseKey, {
+      reference: invoice.id,
+      kind: INVOICE_KINDS[invoice.billing_reason] || 'purchase',
+      planId: pricePlan ? pricePlan.id : invoice.subscription_details?.metadata?.plan,
+      quantity: line.quantity,
+      amount: invoice.amount_paid,
+      currency: invoice.currency,
+      periodStart: isoFromSeconds(line.period?.start),
+      periodEnd: isoFromSeconds(line.period?.end),
+      name: invoice.customer_name,
+      email: invoice.customer_email,
+      // The address given for the purchase; the customer's may be older
+      address: metadataAddress(invoice.subscription_details?.metadata) || invoice.customer_address,
+      taxId: firstTaxId(invoice.customer_tax_ids) || invoice.subscription_details?.metadata?.taxId
+    });
+  }
+
+  // Receipt for a one-time Checkout purchase. Subscription sessions get theirs
+  // from the invoice.
+  recordCheckoutSession(licenseKey, session) {
+    if (session.mode !== 'payment') return null;
+
+    const details = session.customer_details || {};
+    return this.issue(licenseKey, {
+      reference: session.payment_intent,
+      kind: 'purchase',
+      planId: session.metadata?.plan,
+      quantity: parseInt(session.metadata?.quantity || '1', 10),
+      amount: session.amount_total,
+      currency: session.currency,
+      name: details.name,
+      email: details.email,
+      address: details.address,
+      taxId: firstTaxId(details.tax_ids)
+    });
+  }
+
+  // Follow a license to its new key (see LicenseStore#onRekey)
+  moveLicense(oldKey, newKey) {
+    this.adapter.transaction(() => {
+      for (const receipt of this.listForLicense(oldKey)) {
+        this.adapter.set(RECEIPTS, receipt.id, { ...receipt, licenseKey: newKey });
+      }
+    });
+  }
+
+  // The receipt as a PDF file
+  render(receipt) {
+    const { issuerName, issuerAddress, issuerTaxId } = config.receipts;
+    const doc = new PdfDocument({ title: `Receipt ${receipt.invoiceNumber}` });
+    const brand = '#1d3557';
+    const muted = '#6b7280';
+    const left = 50;
+    const right = doc.width - 50;
+    const date = (iso) => iso.slice(0, 10);
+
+    doc.rect(0, 0, doc.width, 90, { fill: brand });
+    doc.text(left, 55, issuerName, { font: 'bold', size: 22, color: '#ffffff' });
+    doc.text(right, 55, 'RECEIPT', { font: 'bold', size: 16, color: '#ffffff', align: 'right' });
+
+    // Seller, and the receipt's numbers
+    let y = 130;
+    doc.text(left, y, issuerName, { font: 'bold', size: 10 });
+    for (const line of [...(issuerAddress ? issuerAddress.split('|') : []), ...(issuerTaxId ? [`Tax ID: ${issuerTaxId}`] : [])]) {
+      y += 14;
+      doc.text(left, y, line.trim(), { size: 10, color: muted });
+    }
+
+    [
+      ['Invoice number', receipt.invoiceNumber],
+      ['Date paid', date(receipt.issuedAt)],
+      ['Payment reference', receipt.reference]
+    ].forEach(([label, value], i) => {
+      doc.text(right - 150, 130 + i * 14, label, { size: 10, color: muted, align: 'right' });
+      doc.text(right, 130 + i * 14, value, { font: 'bold', size: 10, align: 'right' });
+    });
+
+    // Customer
+    y = Math.max(y, 158) + 40;
+    doc.text(left, y, 'BILLED TO', { font: 'bold', size: 9, color: muted });
+    const { billing } = receipt;
+    const customerLines = [
+      billing.name,
+      billing.email,
+      ...addressLines(billing.address),
+      billing.taxId ? `Tax ID: ${billing.taxId}` : null
+    ].filter(Boolean);
+    for (const line of customerLines) {
+      y += 14;
+      doc.text(left, y, line, { size: 10 });
+    }
+
+    // Line item and total
+    y += 40;
+    doc.rect(left, y, right - left, 22, { fill: '#eef1f6' });
+    doc.text(left + 10, y + 15, 'Description', { font: 'bold', size: 10 });
+    doc.text(right - 130, y + 15, 'Qty', { font: 'bold', size: 10, align: 'right' });
+    doc.text(right - 10, y + 15, 'Amount', { font: 'bold', size: 10, align: 'right' });
+
+    y += 42;
+    const amount = formatAmount(receipt.amount, receipt.currency);
+    doc.text(left + 10, y, receipt.description, { font: 'bold', size: 11 });
+    doc.text(right - 130, y, String(receipt.quantity), { size: 11, align: 'right' });
+    doc.text(right - 10, y, amount, { size: 11, align: 'right' });
+    const period = receipt.periodStart && receipt.periodEnd
+      ? `, ${date(receipt.periodStart)} to ${date(receipt.periodEnd)}`
+      : '';
+    doc.text(left + 10, y + 15, `${KIND_LABELS[receipt.kind] || 'Purchase'}${period}`, { size: 9, color: muted });
+
+    y += 35;
+    doc.line(left, y, right, y, { color: '#d1d5db' });
+    y += 22;
+    doc.text(right - 130, y, 'Total paid', { font: 'bold', size: 12, align: 'right' });
+    doc.text(right - 10, y, amount, { font: 'bold', size: 12, align: 'right' });
+
+    // License
+    y += 50;
+    doc.text(left, y, 'LICENSE KEY', { font: 'bold', size: 9, color: muted });
+    doc.text(left, y + 16, receipt.licenseKey, { font: 'bold', size: 12, color: brand });
+
+    doc.line(left, doc.height - 70, right, doc.height - 70, { color: '#d1d5db' });
+    doc.text(left, doc.height - 52, 'Thank you for your purchase. This receipt confirms payment in full; keep it for your records.', {
+      size: 8,
+      color: muted
+    });
+    return doc.toBuffer();
+  }
+}
+
+const receipts = new Receipts(store.adapter);
+store.onRekey((oldKey, newKey) => receipts.moveLicense(oldKey, newKey));
+
+module.exports = receipts;
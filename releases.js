@@ -0,0 +1,255 @@
+// Desktop app release registry and signed download links, behind
+// /api/updates (updates.js) and managed through the admin API.
+//
+// A release has a semver version, a channel ("stable", or "beta", which also
+// gets stable releases), a release date, notes, a minimum plan and one
+// artifact per platform ("win32-x64", "darwin-arm64", ...). Artifact files are
+// copied into RELEASES_DIR first; registering the release records their size
+// and SHA-512 so updaters can check what they download.
+//
+// A license or trial is offered the releases whose minimum plan (a plan id, or
+// "trial" for everyone) has a tier no higher than its own (see plans.js).
+// Files are only served through links signed with DOWNLOAD_URL_SECRET, which
+// expire after DOWNLOAD_URL_MINUTES.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store.js');
+const { config } = require('./config.js');
+const { tierOf } = require('./plans.js');
+const { safeEqual } = require('./safeequal.js');
+
+const RELEASES = 'releases'; // version -> release
+
+const CHANNELS = ['stable', 'beta'];
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/;
+const PLATFORM_PATTERN = /^[a-z0-9]+-[a-z0-9_]+$/;
+
+// Without a configured secret, links only work on the process that made them
+const DOWNLOAD_SECRET = config.updates.downloadSecret || crypto.randomBytes(32).toString('hex');
+
+function normalizeVersion(version) {
+  return typeof version === 'string' ? version.trim().replace(/^v/, '') : '';
+}
+
+// Semver precedence, e.g. 1.10.0 > 1.9.2 > 1.9.2-beta.2 > 1.9.2-beta.1
+function compareVersions(a, b) {
+  const split = (version) => {
+    const dash = version.indexOf('-');
+    return dash === -1 ? [version, null] : [version.slice(0, dash), version.slice(dash + 1)];
+  };
+  const [coreA, preA] = split(a);
+  const [coreB, preB] = split(b);
+
+  const numbersA = coreA.split('.').map(Number);
+  const numbersB = coreB.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (numbersA[i] !== numbersB[i]) return numbersA[i] - numbersB[i];
+  }
+  if (!preA || !preB) return (preA ? -1 : 0) + (preB ? 1 : 0);
+
+  const partsA = preA.split('.');
+  const partsB = preB.split('.');
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    if (partsA[i] === undefined) return -1;
+    if (partsB[i] === undefined) return 1;
+    const numericA = /^\d+$/.test(partsA[i]);
+    const numericB = /^\d+$/.test(partsB[i]);
+    if (numericA && numericB) {
+      if (Number(partsA[i]) !== Number(partsB[i])) return Number(partsA[i]) - Number(partsB[i]);
+    } else if (numericA !== numericB) {
+      return numericA ? -1 : 1;
+    } else if (partsA[i] !== partsB[i]) {
+      return partsA[i] < partsB[i] ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+// Where an artifact's file lives; throws for paths outside RELEASES_DIR
+function artifactPath(file) {
+  const root = path.resolve(config.updates.releasesDir);
+  const resolved = path.resolve(root, file);
+  if (!resolved.startsWith(root + path.sep)) {
+    throw new Error(`Artifact file must be inside RELEASES_DIR (got "${file}")`);
+  }
+  return resolved;
+}
+
+// Size and base64 SHA-512 (what electron-updater checks) of an artifact file
+function hashArtifact(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha512');
+    let size = 0;
+    fs.createReadStream(artifactPath(file))
+      .on('data', (chunk) => {
+        hash.update(chunk);
+        size += chunk.length;
+      })
+      .on('error', (error) => {
+        reject(error.code === 'ENOENT' ? new Error(`Artifact file not found: ${file}`) : error);
+      })
+      .on('end', () => resolve({ size, sha512: hash.digest('base64') }));
+  });
+}
+
+// Validate and normalize an admin-supplied release's terms; throws on bad input
+function parseTerms(input) {
+  const channel = input.channel || 'stable';
+  if (!CHANNELS.includes(channel)) {
+    throw new Error(`channel must be one of ${CHANNELS.join(', ')}`);
+  }
+  const minPlan = input.minPlan || 'trial';
+  if (tierOf(minPlan) === null) {
+    throw new Error('minPlan must be "trial" or a plan id');
+  }
+  if (input.releasedAt && isNaN(Date.parse(input.releasedAt))) {
+    throw new Error('releasedAt must be an ISO date');
+  }
+  if (input.notes != null && typeof input.notes !== 'string') {
+    throw new Error('notes must be a string');
+  }
+
+  return {
+    channel,
+    minPlan,
+    // A future date schedules the release
+    releasedAt: new Date(input.releasedAt || Date.now()).toISOString(),
+    notes: input.notes || '',
+    active: input.active !== false
+  };
+}
+
+// Validate an admin-supplied artifact map: platform -> { file, signature? },
+// where signature is whatever the updater verifies (e.g. Tauri's)
+function parseArtifacts(artifacts) {
+  if (!artifacts || typeof artifacts !== 'object' || Array.isArray(artifacts) || !Object.keys(artifacts).length) {
+    throw new Error('artifacts must map at least one platform to { file }');
+  }
+  return Object.entries(artifacts).map(([platform, artifact]) => {
+    if (!PLATFORM_PATTERN.test(platform)) {
+      throw new Error(`Platform must look like os-arch, e.g. win32-x64 (got "${platform}")`);
+    }
+    if (!artifact || typeof artifact.file !== 'string' || !artifact.file) {
+      throw new Error(`Artifact for ${platform} needs a file`);
+    }
+    artifactPath(artifact.file);
+    return { platform, file: artifact.file, signature: artifact.signature || null };
+  });
+}
+
+class ReleaseRegistry {
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  get(version) {
+    return this.adapter.get(RELEASES, normalizeVersion(version));
+  }
+
+  // Checks for client-supplied query values
+  isValidVersion(version) {
+    return VERSION_PATTERN.test(normalizeVersion(version));
+  }
+
+  isValidChannel(channel) {
+    return CHANNELS.includes(channel);
+  }
+
+  isValidPlatform(platform) {
+    return typeof platform === 'string' && PLATFORM_PATTERN.test(platform);
+  }
+
+  // Whether `version` is newer than `than`; both must be valid
+  isNewer(version, than) {
+    return compareVersions(normalizeVersion(version), normalizeVersion(than)) > 0;
+  }
+
+  // Newest first
+  list() {
+    return this.adapter.entries(RELEASES)
+      .map(([, release]) => release)
+      .sort((a, b) => compareVersions(b.version, a.version));
+  }
+
+  // Register a release once its artifact files are in RELEASES_DIR. Returns
+  // null if the version already exists; throws on bad input or missing files.
+  async create(input) {
+    const version = normalizeVersion(input.version);
+    if (!VERSION_PATTERN.test(version)) {
+      throw new Error('version must be a semantic version like 1.4.0 or 2.0.0-beta.1');
+    }
+    const terms = parseTerms(input);
+    const artifacts = {};
+    for (const { platform, file, signature } of parseArtifacts(input.artifacts)) {
+      artifacts[platform] = { file, fileName: path.basename(file), ...(await hashArtifact(file)), signature };
+    }
+
+    return this.adapter.transaction(() => {
+      if (this.get(version)) return null;
+      const release = { version, ...terms, artifacts, createdAt: new Date().toISOString() };
+      this.adapter.set(RELEASES, version, release);
+      return release;
+    });
+  }
+
+  // Admin edit of { channel, minPlan, releasedAt, notes, active }; artifacts
+  // are fixed, so new files need a new version. Throws on bad input.
+  change(version, changes) {
+    return this.adapter.transaction(() => {
+      const existing = this.get(version);
+      if (!existing) return null;
+      const updated = { ...existing, ...parseTerms({ ...existing, ...changes }) };
+      this.adapter.set(RELEASES, existing.version, updated);
+      return updated;
+    });
+  }
+
+  // The newest release available to a plan tier on a channel and platform at
+  // `now`, or null
+  latest({ tier, channel, platform }, now = new Date()) {
+    const channels = channel === 'beta' ? CHANNELS : ['stable'];
+    return this.list().find((release) =>
+      release.active &&
+      channels.includes(release.channel) &&
+      new Date(release.releasedAt) <= now &&
+      tierOf(release.minPlan) !== null &&
+      tierOf(release.minPlan) <= tier &&
+      release.artifacts[platform]) || null;
+  }
+
+  sign(version, platform, expires) {
+    return crypto.createHmac('sha256', DOWNLOAD_SECRET).update(`${version}\n${platform}\n${expires}`).digest('hex');
+  }
+
+  // Expiring signed link to a release's artifact for a platform
+  downloadUrl(release, platform, now = Date.now()) {
+    const expires = Math.floor(now / 1000) + config.updates.downloadLinkMinutes * 60;
+    const url = new URL(
+      `/api/updates/download/${encodeURIComponent(release.version)}/${encodeURIComponent(platform)}`,
+      config.publicUrl
+    );
+    url.searchParams.set('expires', String(expires));
+    url.searchParams.set('signature', this.sign(release.version, platform, expires));
+    return url.toString();
+  }
+
+  // The artifact a download link is for, with its file path; null if the link
+  // is forged or expired, or the release has been withdrawn
+  verifyDownload({ version, platform, expires, signature }, now = Date.now()) {
+    if (typeof expires !== 'string' || !/^\d+$/.test(expires) || Number(expires) * 1000 < now ||
+        typeof signature !== 'string') {
+      return null;
+    }
+    if (!safeEqual(this.sign(normalizeVersion(version), platform, expires), signature)) {
+      return null;
+    }
+
+    const release = this.get(version);
+    const artifact = release && release.active && release.artifacts[platform];
+    return artifact ? { ...artifact, path: artifactPath(artifact.file) } : null;
+  }
+}
+
+module.exports = new ReleaseRegistry(store.adapter);
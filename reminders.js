@@ -0,0 +1,123 @@
+// Renewal reminders and expiry notices for yearly licenses (annual and team
+// owners; team members follow their owner). Every REMINDER_INTERVAL_MINUTES
+// the scheduler emails:
+//   - a renewal reminder RENEWAL_REMINDER_DAYS (default 30, 7 and 1) days
+//     before expiresAt; a license that is already closer than an offset when
+//     first seen gets only the nearest one
+//   - one expiry notice once expiresAt has passed, while the license is still
+//     in its grace period (see license.js)
+// Sent reminders are recorded against the expiresAt they were for, so a
+// renewal starts the cycle over. Each reminder is claimed in the store before
+// it is sent, so server instances sharing a store never both send it.
+
+const store = require('./store.js');
+const { config } = require('./config.js');
+const { graceEnd } = require('./license.js');
+const { getPlanByLicensePlan } = require('./plans.js');
+const { sendRenewalReminderEmail, sendLicenseExpiredEmail } = require('./mailer.js');
+const { logger } = require('./logger.js');
+const { metrics } = require('./metrics.js');
+
+const REMINDERS = 'renewalReminders'; // key -> { expiresAt, sent: [30, 7, 'expired', ...] }
+const EXPIRED = 'expired';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RenewalReminders {
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  isEligible(record) {
+    const plan = getPlanByLicensePlan(record.license.plan);
+    return Boolean(
+      plan && plan.interval === 'year' &&
+      record.license.email &&
+      !record.metadata.parentKey &&
+      !record.metadata.isDevelopment &&
+      (!record.status || record.status === 'active')
+    );
+  }
+
+  // The reminder a license is due at `now`: the nearest offset (in days) it
+  // has passed, EXPIRED, or null
+  dueReminder(record, now) {
+    const expiresAt = new Date(record.license.expiresAt);
+    if (expiresAt <= now) {
+      // Licenses that expired long ago (e.g. before this ran) get nothing
+      const noticeUntil = Math.max(graceEnd(expiresAt).getTime(), expiresAt.getTime() + DAY_MS);
+      return now.getTime() < noticeUntil ? EXPIRED : null;
+    }
+
+    const daysLeft = (expiresAt - now) / DAY_MS;
+    const passed = config.renewalReminderDays.filter((days) => daysLeft <= days);
+    return passed.length ? passed[passed.length - 1] : null;
+  }
+
+  // Mark a reminder as sent; false if it already was
+  claim(key, expiresAt, reminder) {
+    return this.adapter.transaction(() => {
+      const entry = this.adapter.get(REMINDERS, key);
+      const sent = entry && entry.expiresAt === expiresAt ? entry.sent : [];
+      if (sent.includes(reminder)) return false;
+      this.adapter.set(REMINDERS, key, { expiresAt, sent: [...sent, reminder] });
+      return true;
+    });
+  }
+
+  // Undo a claim whose email could not be sent, so the next run retries it
+  release(key, reminder) {
+    this.adapter.transaction(() => {
+      const entry = this.adapter.get(REMINDERS, key);
+      if (!entry) return;
+      this.adapter.set(REMINDERS, key, { ...entry, sent: entry.sent.filter((sent) => sent !== reminder) });
+    });
+  }
+
+  // Send every reminder due at `now`; resolves to how many were sent
+  async run(now = new Date()) {
+    const horizon = new Date(now.getTime() + Math.max(...config.renewalReminderDays) * DAY_MS);
+    let count = 0;
+
+    for (const record of store.getLicensesExpiringBefore(horizon)) {
+      if (!this.isEligible(record)) continue;
+      const reminder = this.dueReminder(record, now);
+      if (reminder === null || !this.claim(record.key, record.license.expiresAt, reminder)) continue;
+
+      try {
+        if (reminder === EXPIRED) {
+          const graceUntil = graceEnd(record.license.expiresAt);
+          await sendLicenseExpiredEmail(record, graceUntil > now ? graceUntil.toISOString() : null);
+          store.recordLicenseEvent('license.expiry_notice', record.key, { expiresAt: record.license.expiresAt });
+        } else {
+          await sendRenewalReminderEmail(record);
+          store.recordLicenseEvent('license.renewal_reminder', record.key, {
+            expiresAt: record.license.expiresAt,
+            daysBefore: reminder
+          });
+        }
+        metrics.renewalReminders.inc({ reminder });
+        count++;
+      } catch (error) {
+        this.release(record.key, reminder);
+        logger.error('Renewal reminder failed', { licenseKey: record.key, reminder, error });
+      }
+    }
+    return count;
+  }
+
+  // Run now and then every `intervalMs`
+  start(intervalMs) {
+    const tick = () => {
+      this.run()
+        .then((count) => {
+          if (count) logger.info('Sent renewal reminders', { count });
+        })
+        .catch((error) => logger.error('Renewal reminder run failed', { error }));
+    };
+    tick();
+    setInterval(tick, intervalMs).unref();
+  }
+}
+
+module.exports = new RenewalReminders(store.adapter);
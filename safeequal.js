@@ -0,0 +1,14 @@
+// Constant-time string comparison, for API keys, bearer tokens and
+// signatures: how long it takes doesn't depend on where the strings differ.
+
+const crypto = require('crypto');
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+module.exports = {
+  safeEqual
+};
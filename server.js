@@ -5,25 +5,62 @@ const cors = require("cors");
 const path = require("path");
 
 // Local modules
+const { config, productionProblems } = require("./config.js");
 const {
   verifyTrialToken,
   signTrialToken,
   verifyLicenseToken,
   signLicenseToken,
 } = require("./license.js");
-const {
-  createStripeSubscription,
-  createStripePaymentIntent,
-  verifyStripePayment,
-} = require("./stripe.js");
+const { getJwks } = require("./keys.js");
+const payments = require("./payments.js");
 const store = require("./store.js");
+const { normalizeLicenseKey } = require("./licensekey.js");
+const {
+  getPlan,
+  pricePlan,
+  listPlans,
+  listPublicPlans,
+  parseQuantity,
+  entitlementsFor,
+  getTrialEntitlements,
+  licenseForPlan,
+} = require("./plans.js");
+const trials = require("./trials.js");
+const promos = require("./promos.js");
+const reminders = require("./reminders.js");
+const receipts = require("./receipts.js");
+const { maxActivationsFor, isValidDeviceId, activateDevice } = require("./devices.js");
+const { safeEqual } = require("./safeequal.js");
+const eventLog = require("./events.js");
+const {
+  quoteUpgrade,
+  changeSubscriptionPlan,
+  completePurchasedUpgrade,
+  findUpgradedLicense,
+} = require("./upgrades.js");
+const { createRateLimiter, parseTrustProxy } = require("./ratelimit.js");
+const { logger, requestContext } = require("./logger.js");
+const { metrics, metricsMiddleware, renderMetrics } = require("./metrics.js");
+const adminRouter = require("./admin.js");
+const teamRouter = require("./team.js");
+const accountRouter = require("./account.js");
+const updatesRouter = require("./updates.js");
+const { processStripeEvent, fulfillCheckoutSession } = require("./webhooks.js");
+const { notifyLicenseIssued, sendLicenseKeysEmail } = require("./mailer.js");
 
 const app = express();
-const PORT = process.env.PORT || 5000;
+const PORT = config.port;
+const PUBLIC_URL = config.publicUrl;
 
 // ------------------------------
-// 0) CORS (allow your app domain)
+// 0) Request ids + access log,
+//    request metrics, and
+//    CORS (allow your app domain)
 // ------------------------------
+app.use(requestContext());
+app.use(metricsMiddleware());
+
 app.use(
   cors({
     origin: true, // or set to ["https://systunepro.com", "app://."] if you want to lock down
@@ -39,40 +76,29 @@ app.post(
   express.raw({ type: "application/json" }),
   async (req, res) => {
     try {
-      const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
       const sig = req.headers["stripe-signature"];
-      const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
       let event;
       try {
-        event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+        event = payments.parseWebhook(req.body, sig);
       } catch (err) {
-        console.error("Webhook signature verification failed:", err.message);
+        logger.warn("Webhook signature verification failed", { error: err.message });
         return res.status(400).send(`Webhook Error: ${err.message}`);
       }
 
-      // Handle the event
-      switch (event.type) {
-        case "payment_intent.succeeded":
-          await handlePaymentIntentSucceeded(event.data.object);
-          break;
-        case "invoice.payment_succeeded":
-          await handleInvoicePaymentSucceeded(event.data.object);
-          break;
-        case "customer.subscription.created":
-        case "customer.subscription.updated":
-          await handleSubscriptionChanged(event.data.object);
-          break;
-        case "customer.subscription.deleted":
-          await handleSubscriptionDeleted(event.data.object);
-          break;
-        default:
-          console.log(`Unhandled event type ${event.type}`);
+      // Retried deliveries of an event we already handled are acknowledged
+      // without running the handlers again
+      const result = await processStripeEvent(event);
+      if (result.duplicate) {
+        return res.json({ received: true, duplicate: true });
+      }
+      if (result.error) {
+        return res.status(500).json({ error: "Webhook processing failed" });
       }
 
       res.json({ received: true });
     } catch (error) {
-      console.error("Webhook error:", error);
+      logger.error("Webhook error", { error });
       res.status(500).json({ error: "Webhook processing failed" });
     }
   }
@@ -84,63 +110,78 @@ app.post(
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 
+app.use("/api/admin", adminRouter);
+
 // --------------------------------------------
-// 3) Basic env validation (warn if something is
-//    missing; do not crash — easier for first run)
+// 3) Configuration check (see config.js): refuse
+//    to start in production with unsafe settings,
+//    only warn in development
 // --------------------------------------------
-const requiredEnv = [
-  "STRIPE_SECRET_KEY",
-  "STRIPE_PUBLISHABLE_KEY",
-  "APP_SIGNING_SECRET",
-  "STRIPE_PRICE_ID_YEARLY", // for annual plan
-  // "STRIPE_WEBHOOK_SECRET" // recommended when using webhooks
-];
-const missing = requiredEnv.filter((k) => !process.env[k]);
-if (missing.length) {
-  console.warn(
-    "⚠️  Missing environment variables:",
-    missing.join(", "),
-    "— some features may not work"
-  );
+const problems = productionProblems();
+if (problems.length && config.isProduction) {
+  logger.error("Refusing to start: configuration is unsafe for production", { problems });
+  process.exit(1);
+}
+if (problems.length) {
+  logger.warn("Configuration is not production-ready", { problems });
+}
+
+const unavailable = listPlans().filter((plan) => !plan.available).map((plan) => plan.id);
+if (unavailable.length) {
+  logger.warn("Plans without a Stripe price can't be sold", { plans: unavailable });
 }
 
 // --------------------------------------------
-// 4) Tiny in-memory rate limiter (per-IP)
-//    Avoids ESM/CJS issues of express-rate-limit v7
+// 4) Rate limiters (see ratelimit.js)
 // --------------------------------------------
-function makeLimiter({ windowMs, max, message }) {
-  const hits = new Map(); // ip -> { count, resetAt }
-  return (req, res, next) => {
-    const ip = req.headers["x-forwarded-for"]?.split(",")[0]?.trim() || req.ip;
-    const now = Date.now();
-    const entry = hits.get(ip);
-
-    if (!entry || now > entry.resetAt) {
-      hits.set(ip, { count: 1, resetAt: now + windowMs });
-      return next();
-    }
-
-    if (entry.count >= max) {
-      return res.status(429).json({ ok: false, error: message });
-    }
-
-    entry.count++;
-    next();
-  };
-}
+// Behind a load balancer or reverse proxy, set TRUST_PROXY so req.ip is the
+// client's address rather than the proxy's
+app.set("trust proxy", parseTrustProxy(config.trustProxy));
 
-const licenseLimiter = makeLimiter({
+const licenseLimiter = createRateLimiter({
+  name: "license",
   windowMs: 15 * 60 * 1000,
   max: 10,
   message: "Too many license requests, please try again later.",
 });
 
-const paymentLimiter = makeLimiter({
+// These requests email the address they name, so every one counts against it
+const resendLimiter = createRateLimiter({
+  name: "resend",
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  message: "Too many resend requests, please try again later.",
+  countIdentity: "all",
+});
+
+const promoLimiter = createRateLimiter({
+  name: "promo",
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: "Too many promo code requests, please try again later.",
+});
+
+const paymentLimiter = createRateLimiter({
+  name: "payment",
   windowMs: 15 * 60 * 1000,
   max: 5,
   message: "Too many payment requests, please try again later.",
 });
 
+const accountLimiter = createRateLimiter({
+  name: "account",
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: "Too many account requests, please try again later.",
+});
+
+const updateLimiter = createRateLimiter({
+  name: "update",
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: "Too many update checks, please try again later.",
+});
+
 // -------------------
 // 5) Utility endpoints
 // -------------------
@@ -157,45 +198,57 @@ app.get("/health", (req, res) => {
 // Stripe publishable key for client
 app.get("/api/stripe/config", (req, res) => {
   res.json({
-    publishableKey: process.env.STRIPE_PUBLISHABLE_KEY || "pk_test_placeholder",
+    publishableKey: config.stripe.publishableKey || "pk_test_placeholder",
+    provider: payments.name,
   });
 });
 
+// Prometheus scrape endpoint; set METRICS_TOKEN to require
+// "Authorization: Bearer <token>"
+app.get("/metrics", (req, res) => {
+  const token = config.metricsToken;
+  if (token && !safeEqual(req.get("authorization") || "", `Bearer ${token}`)) {
+    return res.status(401).json({ ok: false, error: "Unauthorized" });
+  }
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// Public keys for verifying trial/license tokens offline
+app.get("/.well-known/jwks.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.json(getJwks());
+});
+
 // ----------------------
 // 6) Trial API endpoints
 // ----------------------
 
-// Start trial
+// Start trial (or return the device's existing one)
 app.post("/api/trial/start", (req, res) => {
   try {
-    const now = new Date();
-    const trialDays = parseInt(process.env.APP_TRIAL_DAYS || "3", 10);
-    const startedAt = now.toISOString();
-    const expiresAt = new Date(
-      now.getTime() + trialDays * 24 * 60 * 60 * 1000
-    ).toISOString();
-    const secondsLeft = Math.max(
-      0,
-      Math.floor((new Date(expiresAt) - now) / 1000)
-    );
-
-    const trialToken = signTrialToken({ startedAt, durationDays: trialDays });
+    const { deviceId, email } = req.body;
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ ok: false, error: "Device ID required" });
+    }
 
-    res.json({
-      ok: true,
-      trialToken,
-      startedAt,
-      expiresAt,
-      now: now.toISOString(),
-      secondsLeft,
+    const { trial, created } = trials.start({
+      deviceId,
+      email,
+      durationDays: config.trialDays,
     });
+
+    if (created) {
+      store.recordLicenseEvent("trial.started", null, { email, deviceId });
+    }
+    metrics.trialStarts.inc({ result: created ? "created" : "existing" });
+    res.json({ ok: true, existing: !created, ...describeTrial(trial) });
   } catch (error) {
-    console.error("Trial start error:", error);
+    logger.error("Trial start error", { error });
     res.status(500).json({ ok: false, error: "Failed to start trial" });
   }
 });
 
-// Check trial status
+// Check trial status against the registry
 app.get("/api/trial/status", (req, res) => {
   try {
     const { trialToken } = req.query;
@@ -203,26 +256,21 @@ app.get("/api/trial/status", (req, res) => {
       return res.status(400).json({ ok: false, error: "Trial token required" });
     }
 
-    const trial = verifyTrialToken(trialToken);
-    const now = new Date();
-    const expiresAt = new Date(
-      new Date(trial.startedAt).getTime() +
-        trial.durationDays * 24 * 60 * 60 * 1000
-    );
-    const secondsLeft = Math.max(0, Math.floor((expiresAt - now) / 1000));
-    const expired = secondsLeft === 0;
+    const { deviceId } = verifyTrialToken(trialToken);
+    const trial = deviceId && trials.get(deviceId);
+    if (!trial) {
+      metrics.trialStatusChecks.inc({ state: "invalid" });
+      return res.status(400).json({ ok: false, error: "Trial not found" });
+    }
 
-    res.json({
-      ok: true,
-      trialToken,
-      startedAt: trial.startedAt,
-      expiresAt: expiresAt.toISOString(),
-      now: now.toISOString(),
-      secondsLeft,
-      expired,
-    });
+    // The token is re-signed from the registry, so resets and extensions
+    // made by an admin reach the app on its next status check
+    const status = describeTrial(trial);
+    metrics.trialStatusChecks.inc({ state: status.expired ? "expired" : "active" });
+    res.json({ ok: true, ...status });
   } catch (error) {
-    console.error("Trial status error:", error);
+    metrics.trialStatusChecks.inc({ state: "invalid" });
+    logger.error("Trial status error", { error });
     res.status(400).json({ ok: false, error: "Invalid trial token" });
   }
 });
@@ -232,9 +280,9 @@ app.get("/api/trial/status", (req, res) => {
 // -------------------------
 
 // Verify license (by token or human-readable key)
-app.post("/api/license/verify", licenseLimiter, (req, res) => {
+app.post("/api/license/verify", checkLicenseKey, licenseLimiter, (req, res) => {
   try {
-    const { licenseKey } = req.body;
+    const { licenseKey, deviceId } = req.body;
     if (!licenseKey) {
       return res.status(400).json({ ok: false, error: "License key required" });
     }
@@ -243,26 +291,163 @@ app.post("/api/license/verify", licenseLimiter, (req, res) => {
     try {
       // Try JWT token first
       license = verifyLicenseToken(licenseKey);
-    } catch {
-      // Then try stored human-readable key
+    } catch (error) {
+      if (isLicenseStatusError(error)) throw error;
+
+      // Then try stored human-readable key, which only verifies on an
+      // activated device
       const stored = store.getLicenseByKey(licenseKey);
       if (!stored) throw new Error("License not found");
-      license = verifyLicenseToken(stored.fullToken);
+      if (!isValidDeviceId(deviceId)) throw new Error("Device ID required");
+      license = { licenseKey: stored.key, deviceId };
+    }
+
+    // Tokens issued before the license key was embedded (including legacy
+    // HS256 ones) are matched to their stored key on purchase details
+    if (!license.licenseKey) {
+      const legacyKey = store.findLegacyTokenKey(license);
+      if (!legacyKey) throw new Error("License not found");
+      license = { ...license, licenseKey: legacyKey };
     }
 
+    // Tokens that aren't bound to a device (from a purchase, email, the
+    // account portal or before this check existed) count as the key itself:
+    // they only verify on an activated device and are never re-signed as they are
+    if (!license.deviceId) {
+      if (!isValidDeviceId(deviceId)) throw new Error("Device ID required");
+      license = { licenseKey: license.licenseKey, deviceId };
+    }
+
+    // The license is re-read from the store, so admin changes and renewals
+    // reach the app, and stops verifying once the device is deactivated
+    const stored = store.getLicenseByKey(license.licenseKey);
+    if (!stored) throw new Error("License not found");
+    const touched = store.touchActivation(stored.key, license.deviceId);
+    if (!touched) {
+      metrics.licenseVerifications.inc({ result: "device_not_activated" });
+      return res.status(403).json({ ok: false, error: "Device not activated" });
+    }
+    license = {
+      ...verifyLicenseToken(stored.fullToken),
+      licenseKey: stored.key,
+      deviceId: license.deviceId,
+    };
+
+    // Apps verify often, so only a device's first verify each day is audited
+    if (touched.firstToday) {
+      store.recordLicenseEvent("license.verified", license.licenseKey, {
+        email: license.email,
+        deviceId: license.deviceId,
+      });
+    }
+    metrics.licenseVerifications.inc({ result: "valid" });
     res.json({
       ok: true,
-      fullToken: signLicenseToken(license), // re-sign for freshness
+      fullToken: signLicenseToken(license), // device-bound, re-signed for freshness
       license,
+      // Expired but within the grace period: the app should warn
+      ...(license.graceUntil ? { graceUntil: license.graceUntil } : {}),
     });
   } catch (error) {
-    console.error("License verify error:", error);
-    res.status(400).json({ ok: false, error: "Invalid license key" });
+    // Expected for bad keys; warn with the key so it can be traced to a customer
+    logger.warn("License verify error", { error, licenseKey: keyForLog(req.body.licenseKey) });
+    metrics.licenseVerifications.inc({ result: licenseErrorOutcome(error) });
+    sendLicenseError(res, error);
+  }
+});
+
+// Redeem license key on a device (return device-bound full token)
+app.post("/api/license/redeem", checkLicenseKey, licenseLimiter, (req, res) => {
+  try {
+    const { licenseKey, deviceId, deviceName } = req.body;
+    if (!licenseKey) {
+      return res.status(400).json({ ok: false, error: "License key required" });
+    }
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ ok: false, error: "Device ID required" });
+    }
+
+    const stored = store.getLicenseByKey(licenseKey);
+    if (!stored) {
+      metrics.licenseRedemptions.inc({ endpoint: "redeem", result: "invalid" });
+      return res.status(400).json({ ok: false, error: "Invalid license key" });
+    }
+
+    const result = activateDevice(stored, deviceId, deviceName);
+    if (!result.ok) {
+      metrics.licenseRedemptions.inc({ endpoint: "redeem", result: result.activations ? "limit_reached" : "refused" });
+      return res.status(403).json(result);
+    }
+
+    store.recordLicenseEvent("license.redeemed", stored.key, { deviceId });
+    metrics.licenseRedemptions.inc({ endpoint: "redeem", result: "success" });
+    res.json({ ok: true, fullToken: result.fullToken });
+  } catch (error) {
+    logger.warn("License redeem error", { error, licenseKey: keyForLog(req.body.licenseKey) });
+    metrics.licenseRedemptions.inc({ endpoint: "redeem", result: licenseErrorOutcome(error) });
+    sendLicenseError(res, error);
   }
 });
 
-// Redeem license key (return full token)
-app.post("/api/license/redeem", licenseLimiter, (req, res) => {
+// Activate a license on a device
+app.post("/api/license/activate", checkLicenseKey, licenseLimiter, (req, res) => {
+  try {
+    const { licenseKey, deviceId, deviceName } = req.body;
+    if (!licenseKey) {
+      return res.status(400).json({ ok: false, error: "License key required" });
+    }
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ ok: false, error: "Device ID required" });
+    }
+
+    const stored = store.getLicenseByKey(licenseKey);
+    if (!stored) {
+      metrics.licenseRedemptions.inc({ endpoint: "activate", result: "invalid" });
+      return res.status(400).json({ ok: false, error: "Invalid license key" });
+    }
+
+    const result = activateDevice(stored, deviceId, deviceName);
+    if (!result.ok) {
+      metrics.licenseRedemptions.inc({ endpoint: "activate", result: result.activations ? "limit_reached" : "refused" });
+      return res.status(403).json(result);
+    }
+
+    store.recordLicenseEvent("license.activated", stored.key, { deviceId });
+    metrics.licenseRedemptions.inc({ endpoint: "activate", result: "success" });
+    res.json(result);
+  } catch (error) {
+    logger.warn("License activate error", { error, licenseKey: keyForLog(req.body.licenseKey) });
+    metrics.licenseRedemptions.inc({ endpoint: "activate", result: licenseErrorOutcome(error) });
+    sendLicenseError(res, error);
+  }
+});
+
+// Free a device's activation (e.g. when replacing a laptop)
+app.post("/api/license/deactivate", checkLicenseKey, licenseLimiter, (req, res) => {
+  try {
+    const { licenseKey, deviceId } = req.body;
+    if (!licenseKey || !deviceId) {
+      return res.status(400).json({ ok: false, error: "License key and device ID required" });
+    }
+
+    const stored = store.getLicenseByKey(licenseKey);
+    if (!stored) {
+      return res.status(400).json({ ok: false, error: "Invalid license key" });
+    }
+    if (!store.removeActivation(stored.key, deviceId)) {
+      return res.status(404).json({ ok: false, error: "Device not activated" });
+    }
+
+    store.recordLicenseEvent("license.deactivated", stored.key, { deviceId });
+    res.json({ ok: true, activations: store.getActivations(stored.key) });
+  } catch (error) {
+    logger.error("License deactivate error", { error });
+    res.status(500).json({ ok: false, error: "Failed to deactivate device" });
+  }
+});
+
+// List the devices a license is activated on
+app.post("/api/license/activations", checkLicenseKey, licenseLimiter, (req, res) => {
   try {
     const { licenseKey } = req.body;
     if (!licenseKey) {
@@ -274,49 +459,291 @@ app.post("/api/license/redeem", licenseLimiter, (req, res) => {
       return res.status(400).json({ ok: false, error: "Invalid license key" });
     }
 
-    // Validate it’s still a good token
+    res.json({
+      ok: true,
+      activations: store.getActivations(stored.key),
+      maxActivations: maxActivationsFor(stored.license.plan),
+    });
+  } catch (error) {
+    logger.error("License activations error", { error });
+    res.status(500).json({ ok: false, error: "Failed to list activations" });
+  }
+});
+
+// Effective feature map of a license: its plan's entitlements plus any admin
+// overrides. Takes the license key or a license token.
+app.post("/api/license/entitlements", checkLicenseKey, licenseLimiter, (req, res) => {
+  try {
+    const { licenseKey, token } = req.body;
+    if (!licenseKey && !token) {
+      return res.status(400).json({ ok: false, error: "License key or token required" });
+    }
+
+    const key = licenseKey || verifyLicenseToken(token).licenseKey;
+    const stored = key && store.getLicenseByKey(key);
+    if (!stored) {
+      return res.status(400).json({ ok: false, error: "Invalid license key" });
+    }
+    // Throws for expired, revoked and suspended licenses
     verifyLicenseToken(stored.fullToken);
 
-    res.json({ ok: true, fullToken: stored.fullToken });
+    res.json({
+      ok: true,
+      plan: stored.license.plan,
+      entitlements: entitlementsFor(stored.license.plan, stored.license.entitlementOverrides),
+      overrides: stored.license.entitlementOverrides || {},
+    });
+  } catch (error) {
+    logger.error("License entitlements error", { error });
+    sendLicenseError(res, error);
+  }
+});
+
+// Email every license key registered to an address. The response is the same
+// whether or not the address has licenses, so it can't be used to probe for
+// customers.
+app.post("/api/license/resend", resendLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== "string" || !email.includes("@")) {
+      return res.status(400).json({ ok: false, error: "Valid email required" });
+    }
+
+    const records = store
+      .getLicensesByEmail(email)
+      .filter((record) => record.status !== "revoked");
+    if (records.length) {
+      await sendLicenseKeysEmail(email.trim(), records);
+    }
+
+    res.json({ ok: true });
   } catch (error) {
-    console.error("License redeem error:", error);
-    res.status(400).json({ ok: false, error: "Invalid license key" });
+    logger.error("License resend error", { error });
+    res.status(500).json({ ok: false, error: "Failed to send email" });
   }
 });
 
+// Move a license to another plan, keeping its key. Monthly <-> annual is
+// switched on the Stripe subscription right away; an upgrade to a one-time
+// plan returns a payment intent for the price minus the unused-period credit,
+// finished by /api/license/upgrade/complete (or the webhook). Pass
+// `preview: true` to only see the quote.
+app.post("/api/license/upgrade", checkLicenseKey, paymentLimiter, async (req, res) => {
+  try {
+    const { licenseKey, preview } = req.body;
+    if (!licenseKey || !req.body.plan) {
+      return res.status(400).json({ ok: false, error: "License key and plan required" });
+    }
+
+    const stored = store.getLicenseByKey(licenseKey);
+    if (!stored) {
+      return res.status(400).json({ ok: false, error: "Invalid license key" });
+    }
+
+    const quote = quoteUpgrade(stored, getPlan(req.body.plan));
+    if (!quote.ok) {
+      return res.status(400).json(quote);
+    }
+    const summary = {
+      kind: quote.kind,
+      from: quote.from.id,
+      to: quote.to.id,
+      credit: quote.credit,
+      amount: quote.amount,
+      currency: quote.to.currency,
+    };
+    if (preview) {
+      return res.json({ ok: true, ...summary });
+    }
+
+    if (quote.kind === "subscription") {
+      const converted = await changeSubscriptionPlan(stored, quote.to);
+      return res.json({
+        ok: true,
+        ...summary,
+        fullToken: converted.fullToken,
+        licenseKey: converted.key,
+        licenseMeta: converted.license,
+      });
+    }
+
+    const payment = await payments.createPaymentIntent({
+      plan: quote.to,
+      amount: quote.amount,
+      upgradeLicenseKey: stored.key,
+      upgradeSubscriptionId: stored.metadata.subscriptionId,
+      name: stored.license.name,
+      email: stored.license.email,
+    });
+    metrics.paymentsCreated.inc({ plan: quote.to.id, flow: "upgrade", result: payment.ok ? "ok" : "error" });
+    if (!payment.ok) {
+      return res.status(500).json({ ok: false, error: "Failed to create payment" });
+    }
+    res.json({ ok: true, ...summary, ...payment });
+  } catch (error) {
+    logger.error("License upgrade error", { error });
+    res.status(500).json({ ok: false, error: "Failed to change plan" });
+  }
+});
+
+// Finish a paid upgrade once its payment intent has succeeded
+app.post("/api/license/upgrade/complete", checkLicenseKey, paymentLimiter, async (req, res) => {
+  try {
+    const { licenseKey, paymentIntentId } = req.body;
+    if (!licenseKey || !paymentIntentId) {
+      return res.status(400).json({ ok: false, error: "License key and payment intent required" });
+    }
+
+    const stored = store.getLicenseByKey(licenseKey);
+    if (!stored) {
+      return res.status(400).json({ ok: false, error: "Invalid license key" });
+    }
+
+    const verification = await payments.verifyPayment("payment_intent", paymentIntentId);
+    const plan = getPlan(verification.planId);
+    const upgraded = verification.success && findUpgradedLicense({ paymentIntentId, ...verification });
+    if (!plan || !upgraded || upgraded.key !== stored.key) {
+      metrics.paymentsVerified.inc({ plan: planLabel(verification.planId), result: "rejected" });
+      return res.status(400).json({ ok: false, error: "Payment not verified" });
+    }
+    metrics.paymentsVerified.inc({ plan: plan.id, result: "verified" });
+
+    const converted = await completePurchasedUpgrade(stored, plan, paymentIntentId, verification.amount);
+    const receipt = await recordReceipt(converted.key, paymentIntentId, verification);
+    res.json({
+      ok: true,
+      fullToken: converted.fullToken,
+      licenseKey: converted.key,
+      licenseMeta: converted.license,
+      receiptId: receipt ? receipt.id : null,
+    });
+  } catch (error) {
+    logger.error("License upgrade completion error", { error });
+    res.status(500).json({ ok: false, error: "Failed to complete upgrade" });
+  }
+});
+
+// Seat management for team licenses
+app.use("/api/team", checkLicenseKey, licenseLimiter, teamRouter);
+
+// Customer account portal; login links are emailed, so they share the resend
+// limit
+app.use("/api/account/login", resendLimiter);
+app.use("/api/account", accountLimiter, accountRouter);
+
+// Desktop app update checks and signed release downloads
+app.use("/api/updates/latest", updateLimiter);
+app.use("/api/updates", updatesRouter);
+
 // -------------------------
 // 8) Payments API endpoints
 // -------------------------
 
+// Public plan catalog
+app.get("/api/plans", (req, res) => {
+  res.json({ ok: true, plans: listPublicPlans() });
+});
+
+// Plan prices for a buyer: ?country=DE quotes the regional prices (EUR),
+// ?currency=inr asks for one currency. Plans without a regional price are
+// quoted as listed; with ?currency, plans not sold in it are left out.
+app.get("/api/pricing", (req, res) => {
+  const country = typeof req.query.country === "string" ? req.query.country.trim().toUpperCase() : null;
+  const currency = typeof req.query.currency === "string" ? req.query.currency.trim().toLowerCase() : null;
+  if ((country && !/^[A-Z]{2}$/.test(country)) || (currency && !/^[a-z]{3}$/.test(currency))) {
+    return res.status(400).json({ ok: false, error: "Invalid country or currency" });
+  }
+
+  res.json({ ok: true, country, plans: listPublicPlans({ country, currency }) });
+});
+
+// Check a promo code against a plan and quote the discounted price
+app.post("/api/promo/validate", promoLimiter, (req, res) => {
+  try {
+    const { code } = req.body;
+    const plan = planForBuyer(req.body.plan, req.body);
+    if (!code || !plan) {
+      return res.status(400).json({ ok: false, error: "Promo code and valid plan required" });
+    }
+
+    const quote = promos.quote(code, plan);
+    if (!quote.ok) {
+      return res.status(400).json(quote);
+    }
+
+    res.json({
+      ok: true,
+      code: quote.promo.code,
+      type: quote.promo.type,
+      value: quote.promo.value,
+      originalAmount: plan.amount,
+      discount: quote.discount,
+      amount: quote.amount,
+      currency: plan.currency,
+    });
+  } catch (error) {
+    logger.error("Promo validate error", { error });
+    res.status(500).json({ ok: false, error: "Failed to validate promo code" });
+  }
+});
+
 // Create payment/subscription
 app.post("/api/payments/create", paymentLimiter, async (req, res) => {
   try {
-    const { plan, name, email, phone, billingAddress } = req.body;
+    const { name, email, phone, billingAddress, promoCode, currency } = req.body;
+    const taxId = typeof req.body.taxId === "string" && req.body.taxId.trim() ? req.body.taxId.trim().slice(0, 50) : null;
 
-    if (!plan || !name || !email) {
+    if (!req.body.plan || !name || !email) {
       return res.status(400).json({ ok: false, error: "Missing required fields" });
     }
-    if (!["annual", "lifetime"].includes(plan)) {
-      return res.status(400).json({ ok: false, error: "Invalid plan" });
+    // Priced in the currency asked for, or for the billing address's country
+    const plan = planForBuyer(req.body.plan, { currency, country: billingAddress && billingAddress.country });
+    if (!plan) {
+      return res.status(400).json({ ok: false, error: currency ? "Invalid plan or currency" : "Invalid plan" });
+    }
+    const quantity = parseQuantity(plan, req.body.quantity);
+    if (!quantity) {
+      return res.status(400).json({ ok: false, error: "Invalid quantity" });
     }
 
-    let result;
-    if (plan === "annual") {
-      result = await createStripeSubscription({ name, email, phone, billingAddress });
-    } else {
-      const lifetimeAmount = parseInt(process.env.LIFETIME_AMOUNT || "9999", 10);
-      result = await createStripePaymentIntent({
-        amount: lifetimeAmount,
-        name,
-        email,
-        phone,
-        billingAddress,
+    let quote = null;
+    if (promoCode) {
+      // Per-seat purchases are discounted on their total
+      quote = await reservePromo(promoCode, { ...plan, amount: plan.amount * quantity }, {
+        coupon: plan.billing === "subscription",
       });
+      if (!quote.ok) {
+        return res.status(400).json({ ok: false, error: quote.error });
+      }
+    }
+
+    let result;
+    try {
+      if (plan.billing === "subscription") {
+        const promo = quote && quote.promo;
+        result = await payments.createSubscription({ plan, quantity, promo, name, email, phone, billingAddress, taxId });
+      } else {
+        result = await payments.createPaymentIntent({
+          plan,
+          amount: quote ? quote.amount : plan.amount * quantity,
+          quantity,
+          promoCode: quote ? quote.promo.code : null,
+          name,
+          email,
+          phone,
+          billingAddress,
+          taxId,
+        });
+      }
+    } finally {
+      if (quote) settlePromo(quote, result && result.ok ? result.paymentIntentId || result.subscriptionId : null);
     }
 
+    metrics.paymentsCreated.inc({ plan: plan.id, flow: "embedded", result: result.ok ? "ok" : "error" });
     res.json(result);
   } catch (error) {
-    console.error("Payment create error:", error);
+    logger.error("Payment create error", { error });
+    metrics.paymentsCreated.inc({ plan: planLabel(req.body.plan), flow: "embedded", result: "error" });
     res.status(500).json({ ok: false, error: "Failed to create payment" });
   }
 });
@@ -324,142 +751,411 @@ app.post("/api/payments/create", paymentLimiter, async (req, res) => {
 // After payment, issue license
 app.post("/api/payments/license", paymentLimiter, async (req, res) => {
   try {
-    const { plan, paymentIntentId, subscriptionId } = req.body;
+    const { paymentIntentId, subscriptionId } = req.body;
 
-    if (!plan || !["annual", "lifetime"].includes(plan)) {
+    const plan = getPlan(req.body.plan);
+    if (!plan) {
       return res.status(400).json({ ok: false, error: "Invalid plan" });
     }
 
-    let paymentVerified = false;
-    let customerInfo = {};
-
-    if (plan === "lifetime" && paymentIntentId) {
-      const verification = await verifyStripePayment("payment_intent", paymentIntentId);
-      paymentVerified = verification.success;
-      customerInfo = verification.customerInfo || {};
-    } else if (plan === "annual" && subscriptionId) {
-      const verification = await verifyStripePayment("subscription", subscriptionId);
-      paymentVerified = verification.success;
-      customerInfo = verification.customerInfo || {};
+    let verification = { success: false };
+    if (plan.billing === "one_time" && paymentIntentId) {
+      verification = await payments.verifyPayment("payment_intent", paymentIntentId);
+    } else if (plan.billing === "subscription" && subscriptionId) {
+      verification = await payments.verifyPayment("subscription", subscriptionId);
     }
 
-    if (!paymentVerified) {
+    // The payment must be for the plan being claimed, not a cheaper one (and
+    // not an upgrade of an existing license). Payment intents created before
+    // the plan catalog carry no plan; they were all lifetime purchases.
+    const paidPlanId = verification.planId || (plan.billing === "one_time" ? "lifetime" : null);
+    if (!verification.success || paidPlanId !== plan.id || verification.upgradeLicenseKey) {
+      metrics.paymentsVerified.inc({ plan: plan.id, result: "rejected" });
       return res.status(400).json({ ok: false, error: "Payment not verified" });
     }
+    metrics.paymentsVerified.inc({ plan: plan.id, result: "verified" });
 
-    const now = new Date().toISOString();
-    const license = {
-      name: customerInfo.name || "Licensed User",
-      email: customerInfo.email || "",
-      plan: plan === "annual" ? "pro-annual" : "pro-lifetime",
-      purchasedAt: now,
-      expiresAt:
-        plan === "annual"
-          ? new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString()
-          : null,
-    };
-
-    const fullToken = signLicenseToken(license);
-    const licenseKey = generateLicenseKey();
+    const license = licenseForPlan(plan, verification.customerInfo || {});
+    const promoCode = verification.promoCode || null;
 
-    store.storeLicense(licenseKey, fullToken, license, {
+    // Returns the existing license if the webhook already issued one
+    const issued = store.issueLicense(license, {
       paymentIntentId: paymentIntentId || null,
       subscriptionId: subscriptionId || null,
+      customerId: verification.customerId || null,
+      ...purchasePrice(verification),
+      promoCode,
+      ...(plan.perSeat ? { seats: verification.quantity } : {}),
     });
+    if (issued.created && promoCode) promos.redeem(promoCode, paymentIntentId || subscriptionId);
+    notifyLicenseIssued(issued);
+    const receipt = await recordReceipt(issued.key, plan.billing === "one_time" ? paymentIntentId : null, verification);
 
     res.json({
       ok: true,
-      fullToken,
-      licenseKey,
-      licenseMeta: license,
+      fullToken: issued.fullToken,
+      licenseKey: issued.key,
+      licenseMeta: issued.license,
+      receiptId: receipt ? receipt.id : null,
     });
   } catch (error) {
-    console.error("License creation error:", error);
+    logger.error("License creation error", { error });
+    metrics.paymentsVerified.inc({ plan: planLabel(req.body.plan), result: "error" });
     res.status(500).json({ ok: false, error: "Failed to create license" });
   }
 });
 
+// Hosted alternative to the embedded flow above: returns the URL of a Stripe
+// Checkout page for the plan. The license is issued when the session
+// completes (webhook or success page, whichever comes first).
+app.post("/api/checkout/session", paymentLimiter, async (req, res) => {
+  try {
+    const { email, promoCode, currency } = req.body;
+    const plan = planForBuyer(req.body.plan, req.body);
+    if (!plan) {
+      return res.status(400).json({ ok: false, error: currency ? "Invalid plan or currency" : "Invalid plan" });
+    }
+    const quantity = parseQuantity(plan, req.body.quantity);
+    if (!quantity) {
+      return res.status(400).json({ ok: false, error: "Invalid quantity" });
+    }
+
+    let quote = null;
+    if (promoCode) {
+      quote = await reservePromo(promoCode, { ...plan, amount: plan.amount * quantity }, { coupon: true });
+      if (!quote.ok) {
+        return res.status(400).json({ ok: false, error: quote.error });
+      }
+    }
+
+    let session;
+    try {
+      session = await payments.createCheckoutSession({
+        plan,
+        quantity,
+        promo: quote && quote.promo,
+        email: typeof email === "string" && email.includes("@") ? email.trim() : null,
+        successUrl: `${PUBLIC_URL}/checkout/success?session_id={CHECKOUT_SESSION_ID}`,
+        cancelUrl: `${PUBLIC_URL}/checkout/cancel`,
+      });
+    } finally {
+      if (quote) settlePromo(quote, session ? session.sessionId : null);
+    }
+    metrics.paymentsCreated.inc({ plan: plan.id, flow: "checkout", result: "ok" });
+    res.json({ ok: true, ...session });
+  } catch (error) {
+    logger.error("Checkout session error", { error });
+    metrics.paymentsCreated.inc({ plan: planLabel(req.body.plan), flow: "checkout", result: "error" });
+    res.status(500).json({ ok: false, error: "Failed to create checkout session" });
+  }
+});
+
+// Stripe Checkout redirects here after payment
+app.get("/checkout/success", paymentLimiter, async (req, res) => {
+  try {
+    const sessionId = req.query.session_id;
+    if (typeof sessionId !== "string" || !sessionId.startsWith("cs_")) {
+      return res.status(400).send(renderPage("Checkout", "<p>Missing checkout session.</p>"));
+    }
+
+    const issued = await fulfillCheckoutSession(await payments.retrieveCheckoutSession(sessionId));
+    if (!issued) {
+      return res.send(
+        renderPage(
+          "Payment processing",
+          "<p>Your payment is still being processed. We'll email your license key as soon as it completes.</p>"
+        )
+      );
+    }
+
+    res.send(
+      renderPage(
+        "Thank you!",
+        `<p>Your PDF Forge Pro license key:</p>
+<p><code>${escapeHtml(issued.key)}</code></p>
+<p>Enter it in the app to activate it. We've also emailed it to ${escapeHtml(issued.license.email || "you")}.</p>`
+      )
+    );
+  } catch (error) {
+    logger.error("Checkout success page error", { error });
+    res.status(500).send(renderPage("Checkout", "<p>Something went wrong. Your key will be emailed to you.</p>"));
+  }
+});
+
+app.get("/checkout/cancel", (req, res) => {
+  res.send(renderPage("Checkout cancelled", "<p>No payment was taken. You can close this window.</p>"));
+});
+
+// Stripe Customer Portal for a license's billing account (update cards,
+// download invoices, cancel a subscription). Returns the portal URL.
+app.post("/api/billing/portal", checkLicenseKey, licenseLimiter, async (req, res) => {
+  try {
+    const { licenseKey } = req.body;
+    if (!licenseKey) {
+      return res.status(400).json({ ok: false, error: "License key required" });
+    }
+
+    const stored = store.getLicenseByKey(licenseKey);
+    if (!stored) {
+      return res.status(400).json({ ok: false, error: "Invalid license key" });
+    }
+
+    // Licenses issued before customer ids were recorded: ask the subscription
+    let customerId = stored.metadata.customerId;
+    if (!customerId && stored.metadata.subscriptionId) {
+      customerId = await payments.getSubscriptionCustomer(stored.metadata.subscriptionId);
+      if (customerId) store.updateMetadata(stored.key, { customerId });
+    }
+    if (!customerId) {
+      return res.status(400).json({ ok: false, error: "No billing account for this license" });
+    }
+
+    const url = await payments.createPortalSession(
+      customerId,
+      config.billingPortalReturnUrl || PUBLIC_URL
+    );
+    res.json({ ok: true, url });
+  } catch (error) {
+    logger.error("Billing portal error", { error });
+    res.status(500).json({ ok: false, error: "Failed to open billing portal" });
+  }
+});
+
+// Receipts for a license's payments (purchase, upgrades, every renewal),
+// oldest first. Download one as a PDF with /api/billing/receipts/:id.
+app.post("/api/billing/receipts", checkLicenseKey, licenseLimiter, (req, res) => {
+  const stored = req.body.licenseKey && store.getLicenseByKey(req.body.licenseKey);
+  if (!stored) {
+    return res.status(400).json({ ok: false, error: "Invalid license key" });
+  }
+
+  res.json({
+    ok: true,
+    receipts: receipts.listForLicense(stored.key).map((receipt) => ({
+      id: receipt.id,
+      invoiceNumber: receipt.invoiceNumber,
+      issuedAt: receipt.issuedAt,
+      kind: receipt.kind,
+      description: receipt.description,
+      amount: receipt.amount,
+      currency: receipt.currency,
+    })),
+  });
+});
+
+// One receipt as a PDF, for the license it was issued to
+app.post("/api/billing/receipts/:id", checkLicenseKey, licenseLimiter, (req, res) => {
+  try {
+    const stored = req.body.licenseKey && store.getLicenseByKey(req.body.licenseKey);
+    if (!stored) {
+      return res.status(400).json({ ok: false, error: "Invalid license key" });
+    }
+
+    // Someone else's receipt looks the same as a missing one
+    const receipt = receipts.get(req.params.id);
+    if (!receipt || receipt.licenseKey !== stored.key) {
+      return res.status(404).json({ ok: false, error: "Receipt not found" });
+    }
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="receipt-${receipt.invoiceNumber}.pdf"`,
+      "Cache-Control": "private, no-store",
+    });
+    res.send(receipts.render(receipt));
+  } catch (error) {
+    logger.error("Receipt download error", { error });
+    res.status(500).json({ ok: false, error: "Failed to generate receipt" });
+  }
+});
+
+// Mock payment provider only: drive simulated payments from the outside (the
+// desktop app's dev build, curl, tests). Each route returns the webhook events
+// it fired.
+if (payments.name === "mock") {
+  const simulations = {
+    "payments/:id/succeed": (req) => payments.simulatePaymentSuccess(req.params.id),
+    "payments/:id/fail": (req) => payments.simulatePaymentFailure(req.params.id, { final: req.body.final !== false }),
+    "payments/:id/refund": (req) => payments.simulateRefund(req.params.id),
+    "subscriptions/:id/renew": (req) => payments.simulateRenewal(req.params.id),
+    "subscriptions/:id/cancel": (req) => payments.simulateCancellation(req.params.id),
+  };
+  for (const [route, simulate] of Object.entries(simulations)) {
+    app.post(`/api/mock/${route}`, async (req, res) => {
+      try {
+        res.json({ ok: true, events: await simulate(req) });
+      } catch (error) {
+        res.status(400).json({ ok: false, error: error.message });
+      }
+    });
+  }
+
+  // Stands in for the hosted Checkout page: pays and goes to the success page
+  app.get("/api/mock/checkout/:id", async (req, res) => {
+    try {
+      const { session } = await payments.simulateCheckoutCompletion(req.params.id);
+      res.redirect(session.success_url.replace("{CHECKOUT_SESSION_ID}", session.id));
+    } catch (error) {
+      res.status(400).json({ ok: false, error: error.message });
+    }
+  });
+}
+
 // -------------------------
 // 9) Helpers
 // -------------------------
-function generateLicenseKey() {
-  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
-  const segments = [];
-  for (let i = 0; i < 5; i++) {
-    let seg = "";
-    for (let j = 0; j < 4; j++) {
-      seg += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    segments.push(seg);
-  }
-  return `PFW-${segments.join("-")}`;
-}
 
-async function handlePaymentIntentSucceeded(paymentIntent) {
-  const existing = store.getLicenseByPaymentIntent(paymentIntent.id);
-  if (existing) return;
+// Trial state as returned by the trial endpoints
+function describeTrial(trial) {
+  const now = new Date();
+  const expiresAt = trials.expiresAt(trial);
+  const secondsLeft = Math.max(0, Math.floor((expiresAt - now) / 1000));
 
-  const license = {
-    name: paymentIntent.metadata?.name || "Licensed User",
-    email: paymentIntent.metadata?.email || "",
-    plan: "pro-lifetime",
-    purchasedAt: new Date().toISOString(),
-    expiresAt: null,
+  return {
+    trialToken: signTrialToken({
+      startedAt: trial.startedAt,
+      durationDays: trial.durationDays,
+      deviceId: trial.deviceId,
+      entitlements: getTrialEntitlements(),
+    }),
+    startedAt: trial.startedAt,
+    expiresAt: expiresAt.toISOString(),
+    now: now.toISOString(),
+    secondsLeft,
+    expired: secondsLeft === 0,
+    entitlements: getTrialEntitlements(),
   };
+}
 
-  const fullToken = signLicenseToken(license);
-  const licenseKey = generateLicenseKey();
+// Catalog plan priced for a buyer's `currency` or `country` (see pricePlan),
+// or null if it can't be bought that way
+function planForBuyer(planId, { currency, country } = {}) {
+  const plan = getPlan(planId);
+  const priced = plan && pricePlan(plan, { currency, country });
+  return priced && priced.available ? priced : null;
+}
 
-  store.storeLicense(licenseKey, fullToken, license, {
-    paymentIntentId: paymentIntent.id,
-  });
+// { currency, amount } a license was bought for, from a verified payment
+// (a subscription's is its first invoice)
+function purchasePrice(verification) {
+  const { invoice } = verification;
+  const price = invoice
+    ? { currency: invoice.currency, amount: invoice.amount_paid }
+    : { currency: verification.currency, amount: verification.amount };
+  return price.currency ? price : {};
 }
 
-async function handleInvoicePaymentSucceeded(invoice) {
-  const subscriptionId = invoice.subscription;
-  if (!subscriptionId) return;
+// Receipt for the payment behind a license just issued or upgraded: a
+// payment intent, or else a subscription's first invoice. The webhook records
+// it too, so a failure here is logged rather than failing the purchase.
+async function recordReceipt(licenseKey, paymentIntentId, verification) {
+  try {
+    if (paymentIntentId) {
+      return await receipts.recordPaymentIntent(licenseKey, paymentIntentId, verification);
+    }
+    const { invoice } = verification;
+    return invoice && invoice.status === "paid" ? receipts.recordInvoice(licenseKey, invoice) : null;
+  } catch (error) {
+    logger.error("Receipt failed", { licenseKey, error });
+    return null;
+  }
+}
 
-  const existing = store.getLicenseBySubscription(subscriptionId);
-  if (existing) return;
+// Quote a promo for a purchase and reserve a use of it (see promos.js). With
+// `coupon`, the promo must be applied by Stripe: the first subscription or
+// Checkout purchase with it mirrors it as a Stripe coupon (the provider keeps
+// that to one coupon per promo); if that fails, the reservation is released.
+async function reservePromo(code, plan, { coupon = false } = {}) {
+  const quote = promos.reserve(code, plan);
+  if (!quote.ok || !coupon || quote.promo.stripeCouponId || quote.promo.stripePromotionCodeId) {
+    return quote;
+  }
+  try {
+    const stripeCouponId = await payments.createCoupon(quote.promo);
+    return { ...quote, promo: promos.update(quote.promo.code, { stripeCouponId }) };
+  } catch (error) {
+    promos.release(quote.promo.code, quote.reservation);
+    throw error;
+  }
+}
 
-  const license = {
-    name: invoice.customer_name || "Licensed User",
-    email: invoice.customer_email || "",
-    plan: "pro-annual",
-    purchasedAt: new Date().toISOString(),
-    expiresAt: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(),
-  };
+// Once a payment has been created with a reserved promo, key the reservation
+// by its id; give it back if the payment couldn't be created (null)
+function settlePromo(quote, paymentId) {
+  if (paymentId) {
+    promos.attach(quote.promo.code, quote.reservation, paymentId);
+  } else {
+    promos.release(quote.promo.code, quote.reservation);
+  }
+}
 
-  const fullToken = signLicenseToken(license);
-  const licenseKey = generateLicenseKey();
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
 
-  store.storeLicense(licenseKey, fullToken, license, { subscriptionId });
+// Minimal standalone HTML page for browser-facing routes
+function renderPage(title, body) {
+  return `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)} - PDF Forge Pro</title></head>
+<body style="font-family: system-ui, sans-serif; max-width: 36rem; margin: 4rem auto; padding: 0 1rem">
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>`;
 }
 
-async function handleSubscriptionChanged(subscription) {
-  const existing = store.getLicenseBySubscription(subscription.id);
-  if (!existing) return;
+// Route middleware, ahead of the rate limiter: a licenseKey that is neither a
+// token nor shaped like a key (see licensekey.js) is turned away without
+// costing the caller a rate-limit hit. Keys are normalized in place, so
+// "pfw abcd efgh ..." works. Anything that needs a store lookup, such as a key
+// failing its check group that may be from before check groups, is left to
+// the route, behind the limiter.
+function checkLicenseKey(req, res, next) {
+  const value = req.body.licenseKey;
+  if (typeof value !== "string" || value.split(".").length === 3) return next();
 
-  if (subscription.status === "active") {
-    const updated = {
-      ...existing.license,
-      expiresAt: new Date(subscription.current_period_end * 1000).toISOString(),
-    };
-    const newToken = signLicenseToken(updated);
-    store.updateLicense(existing.key, newToken, updated);
+  const key = normalizeLicenseKey(value);
+  if (!key) {
+    return res.status(400).json({ ok: false, error: "Malformed license key" });
   }
+  req.body.licenseKey = key;
+  next();
 }
 
-async function handleSubscriptionDeleted(subscription) {
-  const existing = store.getLicenseBySubscription(subscription.id);
-  if (!existing) return;
+// License keys are logged by their first and last groups (enough to find the
+// customer, not to use the key), tokens only by their start
+function keyForLog(value) {
+  if (typeof value !== "string") return undefined;
+  if (value.length > 40) return `${value.slice(0, 16)}...`;
+  return value.length > 8 ? `${value.slice(0, 4)}...${value.slice(-4)}` : "...";
+}
 
-  const updated = {
-    ...existing.license,
-    expiresAt: new Date().toISOString(),
-  };
-  const newToken = signLicenseToken(updated);
-  store.updateLicense(existing.key, newToken, updated);
+function isLicenseStatusError(error) {
+  return error.code === "LICENSE_REVOKED" || error.code === "LICENSE_SUSPENDED";
+}
+
+// Metrics label for a client-supplied plan id; anything unknown is lumped
+// together so it can't add series
+function planLabel(planId) {
+  const plan = typeof planId === "string" ? getPlan(planId) : null;
+  return plan ? plan.id : "unknown";
+}
+
+// Metrics label for a failed license check
+function licenseErrorOutcome(error) {
+  if (error.code === "LICENSE_REVOKED") return "revoked";
+  if (error.code === "LICENSE_SUSPENDED") return "suspended";
+  if (error.code === "LICENSE_EXPIRED" || error.name === "TokenExpiredError") return "expired";
+  return "invalid";
+}
+
+// Revoked/suspended licenses get a specific reason; anything else is just invalid
+function sendLicenseError(res, error) {
+  if (isLicenseStatusError(error)) {
+    return res.status(403).json({ ok: false, error: error.message });
+  }
+  res.status(400).json({ ok: false, error: "Invalid license key" });
 }
 
 // -------------------------
@@ -468,8 +1164,37 @@ async function handleSubscriptionDeleted(subscription) {
 app.get("/", (req, res) => {
   res.send("PDFForgePro API is running. Try /health or /api/stripe/config");
 });
+const migrated = store.migrateLicenseEvents();
+if (migrated) {
+  logger.info("Moved license audit events from the store to the audit log", { count: migrated });
+}
+// Now and then daily, as the audit trail and webhook event log only grow
+function pruneOldRecords() {
+  try {
+    const pruned = store.pruneLicenseEvents(config.auditRetentionDays);
+    if (pruned) {
+      logger.info("Pruned old license audit events", { count: pruned });
+    }
+    const prunedEvents = eventLog.prune(config.webhookEventRetentionDays);
+    if (prunedEvents) {
+      logger.info("Pruned old webhook events", { count: prunedEvents });
+    }
+  } catch (error) {
+    logger.error("Pruning old records failed", { error });
+  }
+}
+pruneOldRecords();
+setInterval(pruneOldRecords, 24 * 60 * 60 * 1000).unref();
+const resigned = store.resignStaleTokens();
+if (resigned) {
+  logger.info("Re-signed stored license tokens with the active key", { count: resigned });
+}
+reminders.start(config.reminderIntervalMinutes * 60 * 1000);
+
 app.listen(PORT, "0.0.0.0", () => {
-  console.log(` PDF Forge Trial API listening on ${PORT}`);
-  console.log(` Environment: ${process.env.NODE_ENV || "development"}`);
-  console.log(` Trial days: ${process.env.APP_TRIAL_DAYS || "3"}`);
+  logger.info("PDF Forge Trial API listening", {
+    port: Number(PORT),
+    environment: config.nodeEnv,
+    trialDays: config.trialDays,
+  });
 });
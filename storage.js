@@ -0,0 +1,412 @@
+// Storage adapters for LicenseStore and friends, and the append-only log for
+// its audit trail.
+//
+// Every adapter exposes the same small, synchronous, collection-based API:
+//   get(collection, id)        -> value | null
+//   set(collection, id, value)
+//   delete(collection, id)
+//   entries(collection)        -> [[id, value], ...]
+//   transaction(fn)            -> runs fn atomically, returns its result
+//
+// Values are plain JSON. Adapters hand out copies, so callers must `set`
+// whatever they change.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config.js');
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 10;
+
+function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Keeps everything in process memory; lost on restart. A transaction that
+// throws is rolled back, as with the file backend.
+class MemoryAdapter {
+  constructor() {
+    this.data = {}; // collection -> { id -> value }
+    this.undo = null; // [collection, id, previous value], while in a transaction
+  }
+
+  collection(name) {
+    if (!this.data[name]) this.data[name] = {};
+    return this.data[name];
+  }
+
+  get(collection, id) {
+    const items = this.collection(collection);
+    return Object.prototype.hasOwnProperty.call(items, id) ? clone(items[id]) : null;
+  }
+
+  set(collection, id, value) {
+    this.transaction(() => {
+      this.remember(collection, id);
+      this.collection(collection)[id] = clone(value);
+    });
+  }
+
+  delete(collection, id) {
+    this.transaction(() => {
+      this.remember(collection, id);
+      delete this.collection(collection)[id];
+    });
+  }
+
+  entries(collection) {
+    return Object.entries(this.collection(collection)).map(([id, value]) => [id, clone(value)]);
+  }
+
+  // Stored values are never changed in place, so keeping the old one is enough
+  remember(collection, id) {
+    const items = this.collection(collection);
+    this.undo.push([collection, id, Object.prototype.hasOwnProperty.call(items, id) ? items[id] : undefined]);
+  }
+
+  transaction(fn) {
+    if (this.undo) return fn();
+
+    this.undo = [];
+    try {
+      return fn();
+    } catch (error) {
+      for (const [collection, id, previous] of this.undo.reverse()) {
+        if (previous === undefined) delete this.collection(collection)[id];
+        else this.collection(collection)[id] = previous;
+      }
+      throw error;
+    } finally {
+      this.undo = null;
+    }
+  }
+}
+
+// Persists each record to its own file, <dir>/<collection>/<id>.json, so a
+// write costs only the records it touches, however big the store grows.
+//
+// Records are written to a temp file that is renamed over the original, so a
+// crash never leaves a half-written record. A transaction keeps its changes in
+// memory until fn returns; if it changed several records they go to a journal
+// first, which is replayed if the process dies part way through applying it.
+// Transactions run under an exclusive lock file, so several processes can
+// share one directory without losing each other's updates.
+//
+// Reads outside a transaction go straight to the record files, so they may
+// see part of a multi-record transaction another process is applying.
+class FileAdapter {
+  constructor(dir, { storeFile = null } = {}) {
+    this.dir = path.resolve(dir);
+    this.lockPath = path.join(this.dir, '.lock');
+    this.journalPath = path.join(this.dir, '.journal');
+    this.pending = null; // collection -> Map(id -> value, null once deleted), while in a transaction
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    if (storeFile) this.importStoreFile(storeFile);
+  }
+
+  // Ids are escaped into file names; ids too long for one are hashed
+  recordPath(collection, id) {
+    let name = encodeURIComponent(id).replace(/\./g, '%2E');
+    if (name.length > 200) name = `~${crypto.createHash('sha256').update(String(id)).digest('hex')}`;
+    return path.join(this.dir, collection, `${name}.json`);
+  }
+
+  readRecord(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  writeFile(filePath, content) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  apply({ collection, id, value }) {
+    const filePath = this.recordPath(collection, id);
+    if (value === null) {
+      try {
+        fs.unlinkSync(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      return;
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.writeFile(filePath, JSON.stringify({ id, value }));
+  }
+
+  commit(changes) {
+    const ops = [];
+    for (const [collection, items] of changes) {
+      for (const [id, value] of items) ops.push({ collection, id, value });
+    }
+    if (ops.length === 0) return;
+    if (ops.length === 1) {
+      this.apply(ops[0]);
+      return;
+    }
+
+    this.writeFile(this.journalPath, JSON.stringify(ops));
+    ops.forEach((op) => this.apply(op));
+    fs.unlinkSync(this.journalPath);
+  }
+
+  // Finish a multi-record transaction whose process died while applying it
+  recover() {
+    const ops = this.readRecord(this.journalPath);
+    if (!ops) return;
+    ops.forEach((op) => this.apply(op));
+    fs.unlinkSync(this.journalPath);
+  }
+
+  // Move a store written by the old single-file backend (STORE_FILE) into the
+  // directory, once; the file is renamed to *.imported afterwards
+  importStoreFile(storeFile) {
+    this.withLock(() => {
+      const data = this.readRecord(storeFile);
+      if (!data) return;
+      this.commit(new Map(Object.entries(data).map(([collection, items]) => [
+        collection,
+        new Map(Object.entries(items))
+      ])));
+      fs.renameSync(storeFile, `${storeFile}.imported`);
+    });
+  }
+
+  acquireLock() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        fs.writeFileSync(this.lockPath, String(process.pid), { flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // A lock left behind by a crashed process must not wedge the store
+      try {
+        if (Date.now() - fs.statSync(this.lockPath).mtimeMs > LOCK_STALE_MS) {
+          fs.unlinkSync(this.lockPath);
+          continue;
+        }
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for store lock ${this.lockPath}`);
+      }
+      sleepSync(LOCK_RETRY_MS);
+    }
+  }
+
+  releaseLock() {
+    try {
+      fs.unlinkSync(this.lockPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  withLock(fn) {
+    this.acquireLock();
+    try {
+      this.recover();
+      return fn();
+    } finally {
+      this.releaseLock();
+    }
+  }
+
+  changesTo(collection) {
+    if (!this.pending.has(collection)) this.pending.set(collection, new Map());
+    return this.pending.get(collection);
+  }
+
+  get(collection, id) {
+    const changes = this.pending && this.pending.get(collection);
+    if (changes && changes.has(String(id))) return clone(changes.get(String(id)));
+    const record = this.readRecord(this.recordPath(collection, id));
+    return record ? record.value : null;
+  }
+
+  set(collection, id, value) {
+    this.transaction(() => {
+      this.changesTo(collection).set(String(id), clone(value));
+    });
+  }
+
+  delete(collection, id) {
+    this.transaction(() => {
+      this.changesTo(collection).set(String(id), null);
+    });
+  }
+
+  // Sorted by id, as file listings come back in no particular order
+  entries(collection) {
+    const values = new Map();
+    let names = [];
+    try {
+      names = fs.readdirSync(path.join(this.dir, collection));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    for (const name of names) {
+      if (!name.endsWith('.json')) continue;
+      const record = this.readRecord(path.join(this.dir, collection, name));
+      if (record) values.set(record.id, record.value);
+    }
+
+    const changes = this.pending && this.pending.get(collection);
+    if (changes) {
+      for (const [id, value] of changes) {
+        if (value === null) values.delete(id);
+        else values.set(id, clone(value));
+      }
+    }
+    return [...values].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  }
+
+  transaction(fn) {
+    if (this.pending) return fn();
+
+    return this.withLock(() => {
+      this.pending = new Map();
+      try {
+        const result = fn();
+        this.commit(this.pending);
+        return result;
+      } finally {
+        // A transaction that throws never reaches the files
+        this.pending = null;
+      }
+    });
+  }
+}
+
+// Append-only logs (the license audit trail), kept apart from the store so
+// an entry is a cheap append rather than a rewrite of every collection:
+//   append(entry)              entry needs an ISO `at`
+//   entries()                  -> [entry, ...], oldest first
+//   pruneBefore(day)           drops entries from before a YYYY-MM-DD day,
+//                              returns how many
+class MemoryLog {
+  constructor() {
+    this.items = [];
+  }
+
+  append(entry) {
+    this.items.push(clone(entry));
+  }
+
+  entries() {
+    return this.items.map(clone);
+  }
+
+  pruneBefore(day) {
+    const before = this.items.length;
+    this.items = this.items.filter((entry) => entry.at.slice(0, 10) >= day);
+    return before - this.items.length;
+  }
+}
+
+// One JSON-lines file per UTC day in a directory, so pruning deletes whole
+// files. Lines are small enough to be appended atomically, so processes
+// sharing the directory need no lock.
+class FileLog {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  // Day files, oldest first
+  days() {
+    return fs.readdirSync(this.dir)
+      .filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name))
+      .map((name) => name.slice(0, 10))
+      .sort();
+  }
+
+  read(day) {
+    const lines = fs.readFileSync(path.join(this.dir, `${day}.jsonl`), 'utf8').split('\n');
+    const entries = [];
+    for (const line of lines) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by a crash; the rest of the file is fine
+      }
+    }
+    return entries;
+  }
+
+  append(entry) {
+    fs.appendFileSync(path.join(this.dir, `${entry.at.slice(0, 10)}.jsonl`), `${JSON.stringify(entry)}\n`);
+  }
+
+  entries() {
+    return this.days().flatMap((day) => this.read(day));
+  }
+
+  pruneBefore(day) {
+    let count = 0;
+    for (const old of this.days().filter((d) => d < day)) {
+      count += this.read(old).length;
+      fs.unlinkSync(path.join(this.dir, `${old}.jsonl`));
+    }
+    return count;
+  }
+}
+
+// Pick the backend from STORE_BACKEND ("file" or "memory")
+function createStorageAdapter({
+  backend = config.store.backend,
+  dir = config.store.dir,
+  storeFile = config.store.file,
+} = {}) {
+  switch (backend) {
+    case 'memory':
+      return new MemoryAdapter();
+    case 'file':
+      return new FileAdapter(dir, { storeFile });
+    default:
+      throw new Error(`Unknown STORE_BACKEND "${backend}" (expected "file" or "memory")`);
+  }
+}
+
+// The audit log for STORE_BACKEND: AUDIT_DIR for "file", memory otherwise
+function createAuditLog({
+  backend = config.store.backend,
+  dir = config.store.auditDir,
+} = {}) {
+  return backend === 'file' ? new FileLog(dir) : new MemoryLog();
+}
+
+module.exports = {
+  MemoryAdapter,
+  FileAdapter,
+  MemoryLog,
+  FileLog,
+  createStorageAdapter,
+  createAuditLog
+};
@@ -1,16 +1,53 @@
-// In-memory license storage for development
-// Replace with database in production
+// License storage. The backend is picked by STORE_BACKEND (see storage.js):
+// "file" persists to STORE_DIR, "memory" is handy for throwaway dev runs.
 
-const { signLicenseToken } = require('./license.js');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  signLicenseToken,
+  isStaleToken,
+  graceEnd,
+  setLicenseStatusResolver
+} = require('./license.js');
+const { generateLicenseKey, normalizeLicenseKey } = require('./licensekey.js');
+const { config } = require('./config.js');
+const { createStorageAdapter, createAuditLog } = require('./storage.js');
+const { entitlementsFor } = require('./plans.js');
+const { logger, currentRequestId } = require('./logger.js');
+const { metrics } = require('./metrics.js');
+
+const LICENSES = 'licenses'; // key -> { fullToken, license, metadata }
+const PAYMENT_INTENTS = 'paymentIntents'; // paymentIntentId -> key
+const SUBSCRIPTIONS = 'subscriptions'; // subscriptionId -> key
+const ACTIVATIONS = 'activations'; // key -> [{ deviceId, deviceName, activatedAt, lastSeenAt }]
+const ADMIN_ACTIONS = 'adminActions'; // id -> { at, action, target, details, ip }
+// Audit events used to live in the store; they are kept in an append-only
+// log now (see storage.js) and moved there by migrateLicenseEvents
+const LICENSE_EVENTS = 'licenseEvents'; // id -> { at, type, key, email, details, requestId }
+
+// Every stored token carries its license key, so verifyLicenseToken can look
+// up the license's current status, and the features it unlocks. Admin
+// overrides are stored on the license as entitlementOverrides.
+function signStoredLicense(key, license) {
+  const { entitlementOverrides, ...details } = license;
+  return signLicenseToken({
+    ...details,
+    licenseKey: key,
+    entitlements: entitlementsFor(license.plan, entitlementOverrides)
+  });
+}
 
 class LicenseStore {
-  constructor() {
-    this.licenses = new Map(); // key -> { fullToken, license, metadata }
-    this.paymentIntentIndex = new Map(); // paymentIntentId -> key
-    this.subscriptionIndex = new Map(); // subscriptionId -> key
-    
-    // Initialize with development test licenses
-    this.initializeDevelopmentLicenses();
+  constructor(adapter, auditLog) {
+    this.adapter = adapter;
+    this.auditLog = auditLog;
+    this.rekeyListeners = [];
+    setLicenseStatusResolver((payload) => this.getTokenLicenseStatus(payload));
+
+    // Well-known test keys, only when asked for (SEED_DEV_LICENSES)
+    if (config.seedDevLicenses) {
+      this.initializeDevelopmentLicenses();
+    }
   }
 
   initializeDevelopmentLicenses() {
@@ -38,67 +75,421 @@ class LicenseStore {
     ];
 
     devLicenses.forEach(({ key, license }) => {
-      const fullToken = signLicenseToken(license);
-      this.licenses.set(key, { fullToken, license, metadata: { isDevelopment: true } });
+      const fullToken = signStoredLicense(key, license);
+      this.adapter.set(LICENSES, key, { fullToken, license, metadata: { isDevelopment: true } });
     });
 
-    console.log('✅ Development license keys initialized:');
-    console.log('   Lifetime: PFW-DEV0-LIFE-TIME-TEST');
-    console.log('   Annual:   PFW-DEV0-ANNU-AL00-TEST');
+    logger.info('Development license keys initialized', {
+      keys: devLicenses.map(({ key }) => key)
+    });
   }
 
   storeLicense(key, fullToken, license, metadata = {}) {
-    this.licenses.set(key, { fullToken, license, metadata });
-    
-    // Index by payment/subscription IDs for webhook handling
-    if (metadata.paymentIntentId) {
-      this.paymentIntentIndex.set(metadata.paymentIntentId, key);
-    }
-    if (metadata.subscriptionId) {
-      this.subscriptionIndex.set(metadata.subscriptionId, key);
+    this.adapter.transaction(() => {
+      this.adapter.set(LICENSES, key, { fullToken, license, metadata });
+
+      // Index by payment/subscription IDs for webhook handling
+      if (metadata.paymentIntentId) {
+        this.adapter.set(PAYMENT_INTENTS, metadata.paymentIntentId, key);
+      }
+      if (metadata.subscriptionId) {
+        this.adapter.set(SUBSCRIPTIONS, metadata.subscriptionId, key);
+      }
+    });
+
+    logger.info('Stored license', { licenseKey: key, plan: license.plan });
+  }
+
+  // Store a new license under a fresh key; returns the stored record with
+  // `created: true`. A payment intent or subscription that already has a
+  // license gets that one back (`created: false`) instead, so the webhook and
+  // /api/payments/license can race safely.
+  issueLicense(license, metadata = {}) {
+    const issued = this.adapter.transaction(() => {
+      const existing =
+        (metadata.paymentIntentId && this.getLicenseByPaymentIntent(metadata.paymentIntentId)) ||
+        (metadata.subscriptionId && this.getLicenseBySubscription(metadata.subscriptionId));
+      if (existing) return { ...existing, created: false };
+
+      const key = this.newLicenseKey();
+      const fullToken = signStoredLicense(key, license);
+      this.storeLicense(key, fullToken, license, metadata);
+      this.recordLicenseEvent('license.issued', key, {
+        plan: license.plan,
+        ...(metadata.paymentIntentId ? { paymentIntentId: metadata.paymentIntentId } : {}),
+        ...(metadata.subscriptionId ? { subscriptionId: metadata.subscriptionId } : {}),
+        ...(metadata.parentKey ? { parentKey: metadata.parentKey } : {})
+      });
+      return { key, fullToken, license, metadata, created: true };
+    });
+
+    if (issued.created) metrics.licensesIssued.inc({ plan: license.plan });
+    return issued;
+  }
+
+  // A key no license has; call inside a transaction so it stays unused
+  newLicenseKey() {
+    let key = generateLicenseKey();
+    while (this.adapter.get(LICENSES, key)) {
+      key = generateLicenseKey();
     }
-    
-    console.log(`📝 Stored license: ${key} (${license.plan})`);
+    return key;
   }
 
-  getLicenseByKey(key) {
-    return this.licenses.get(key) || null;
+  // Accepts keys as typed (see normalizeLicenseKey)
+  getLicenseByKey(input) {
+    const key = normalizeLicenseKey(input);
+    const data = key && this.adapter.get(LICENSES, key);
+    return data ? { key, ...data } : null;
   }
 
   getLicenseByPaymentIntent(paymentIntentId) {
-    const key = this.paymentIntentIndex.get(paymentIntentId);
-    return key ? this.licenses.get(key) : null;
+    const key = this.adapter.get(PAYMENT_INTENTS, paymentIntentId);
+    return key ? this.getLicenseByKey(key) : null;
   }
 
   getLicenseBySubscription(subscriptionId) {
-    const key = this.subscriptionIndex.get(subscriptionId);
-    return key ? this.licenses.get(key) : null;
+    const key = this.adapter.get(SUBSCRIPTIONS, subscriptionId);
+    return key ? this.getLicenseByKey(key) : null;
+  }
+
+  // Replace a license's details and re-sign its token; returns the record
+  updateLicense(key, license) {
+    const updated = this.adapter.transaction(() => {
+      const existing = this.adapter.get(LICENSES, key);
+      if (!existing) return null;
+      const record = { ...existing, fullToken: signStoredLicense(key, license), license };
+      this.adapter.set(LICENSES, key, record);
+      return { key, ...record };
+    });
+
+    if (updated) {
+      logger.info('Updated license', { licenseKey: key, plan: license.plan });
+    }
+    return updated;
+  }
+
+  // Merge changes into a license's metadata
+  updateMetadata(key, changes) {
+    return this.adapter.transaction(() => {
+      const existing = this.adapter.get(LICENSES, key);
+      if (!existing) return null;
+      const record = { ...existing, metadata: { ...existing.metadata, ...changes } };
+      this.adapter.set(LICENSES, key, record);
+      return { key, ...record };
+    });
   }
 
-  updateLicense(key, fullToken, license) {
-    const existing = this.licenses.get(key);
-    if (existing) {
-      existing.fullToken = fullToken;
-      existing.license = license;
-      console.log(`📝 Updated license: ${key} (${license.plan})`);
+  // Move a license to another plan in place: the key and activations stay,
+  // the token is re-signed, and the payment indexes follow the metadata (an
+  // upgrade from a subscription to a one-time purchase drops its subscription)
+  convertLicense(key, license, metadataChanges) {
+    const converted = this.adapter.transaction(() => {
+      const existing = this.adapter.get(LICENSES, key);
+      if (!existing) return null;
+
+      const metadata = { ...existing.metadata, ...metadataChanges };
+      const record = { ...existing, fullToken: signStoredLicense(key, license), license, metadata };
+      this.adapter.set(LICENSES, key, record);
+      this.recordLicenseEvent('license.plan_changed', key, { from: existing.license.plan, to: license.plan });
+
+      const oldSubscriptionId = existing.metadata.subscriptionId;
+      if (oldSubscriptionId && oldSubscriptionId !== metadata.subscriptionId) {
+        this.adapter.delete(SUBSCRIPTIONS, oldSubscriptionId);
+      }
+      if (metadata.paymentIntentId) {
+        this.adapter.set(PAYMENT_INTENTS, metadata.paymentIntentId, key);
+      }
+      if (metadata.subscriptionId) {
+        this.adapter.set(SUBSCRIPTIONS, metadata.subscriptionId, key);
+      }
+      return { key, ...record };
+    });
+
+    if (converted) {
+      logger.info('Converted license', { licenseKey: key, plan: license.plan });
     }
+    return converted;
+  }
+
+  // Status of the license a verified token payload belongs to, or null when
+  // the token cannot be tied to a stored license
+  getTokenLicenseStatus(payload) {
+    if (payload.licenseKey) {
+      const data = this.adapter.get(LICENSES, payload.licenseKey);
+      // A key that is gone was regenerated; its old tokens are dead
+      if (!data) return 'revoked';
+
+      // Team seats stop working along with their owner license
+      const status = data.status || 'active';
+      const parent = data.metadata.parentKey && this.adapter.get(LICENSES, data.metadata.parentKey);
+      return status === 'active' && parent ? parent.status || 'active' : status;
+    }
+
+    // Tokens issued before the license key was embedded: match on purchase details
+    const key = this.findLegacyTokenKey(payload);
+    return key ? this.adapter.get(LICENSES, key).status || 'active' : null;
+  }
+
+  // The stored key for a token issued before the license key was embedded,
+  // matched on its purchase details, or null
+  findLegacyTokenKey(payload) {
+    for (const [key, data] of this.adapter.entries(LICENSES)) {
+      const { license } = data;
+      if (license.email === payload.email && license.purchasedAt === payload.purchasedAt && license.plan === payload.plan) {
+        return key;
+      }
+    }
+    return null;
+  }
+
+  // Re-sign stored tokens made with a legacy HS256 secret or a retired key, or
+  // from before the license key was embedded, so the keys they were signed
+  // with can eventually be dropped. Tokens whose entitlements no longer match
+  // the plan catalog, or whose exp no longer matches the grace period, are
+  // re-signed too.
+  resignStaleTokens() {
+    return this.adapter.transaction(() => {
+      let count = 0;
+      for (const [key, data] of this.adapter.entries(LICENSES)) {
+        const payload = jwt.decode(data.fullToken);
+        const entitlements = entitlementsFor(data.license.plan, data.license.entitlementOverrides);
+        if (
+          !isStaleToken(data.fullToken) &&
+          payload &&
+          payload.licenseKey === key &&
+          // Catches tokens from before entitlements and plan catalog edits
+          JSON.stringify(payload.entitlements) === JSON.stringify(entitlements) &&
+          payload.exp === (data.license.expiresAt ? Math.floor(graceEnd(data.license.expiresAt) / 1000) : undefined)
+        ) continue;
+        this.adapter.set(LICENSES, key, { ...data, fullToken: signStoredLicense(key, data.license) });
+        count++;
+      }
+      return count;
+    });
+  }
+
+  getActivations(key) {
+    return this.adapter.get(ACTIVATIONS, key) || [];
+  }
+
+  // Bind a device to a license unless that would exceed maxActivations.
+  // Re-activating a known device just refreshes it. Returns null when full.
+  addActivation(key, { deviceId, deviceName }, maxActivations) {
+    return this.adapter.transaction(() => {
+      const activations = this.getActivations(key);
+      const now = new Date().toISOString();
+      let activation = activations.find((a) => a.deviceId === deviceId);
+
+      if (activation) {
+        activation.lastSeenAt = now;
+        if (deviceName) activation.deviceName = deviceName;
+      } else {
+        if (activations.length >= maxActivations) return null;
+        activation = { deviceId, deviceName: deviceName || null, activatedAt: now, lastSeenAt: now };
+        activations.push(activation);
+      }
+
+      this.adapter.set(ACTIVATIONS, key, activations);
+      return activation;
+    });
+  }
+
+  removeActivation(key, deviceId) {
+    return this.adapter.transaction(() => {
+      const activations = this.getActivations(key);
+      const remaining = activations.filter((a) => a.deviceId !== deviceId);
+      if (remaining.length === activations.length) return false;
+      this.adapter.set(ACTIVATIONS, key, remaining);
+      return true;
+    });
+  }
+
+  // Refresh lastSeenAt for an activated device verifying its license. Returns
+  // null if it is not activated, else { firstToday }: whether this is the
+  // device's first verify of the (UTC) day, which is all the audit trail keeps.
+  touchActivation(key, deviceId) {
+    return this.adapter.transaction(() => {
+      const activations = this.getActivations(key);
+      const activation = activations.find((a) => a.deviceId === deviceId);
+      if (!activation) return null;
+      const now = new Date().toISOString();
+      const firstToday = activation.verifiedOn !== now.slice(0, 10);
+      activation.lastSeenAt = now;
+      activation.verifiedOn = now.slice(0, 10);
+      this.adapter.set(ACTIVATIONS, key, activations);
+      return { firstToday };
+    });
+  }
+
+  // Mark a license "active", "revoked" or "suspended"
+  setLicenseStatus(key, status, reason = null) {
+    const updated = this.adapter.transaction(() => {
+      const existing = this.adapter.get(LICENSES, key);
+      if (!existing) return null;
+      const record = {
+        ...existing,
+        status,
+        statusReason: reason,
+        statusChangedAt: new Date().toISOString()
+      };
+      this.adapter.set(LICENSES, key, record);
+      this.recordLicenseEvent(status === 'active' ? 'license.reinstated' : `license.${status}`, key, {
+        ...(reason ? { reason } : {})
+      });
+      return { key, ...record };
+    });
+
+    if (updated) {
+      logger.info('License status changed', { licenseKey: key, status, reason });
+    }
+    return updated;
+  }
+
+  // Records other modules keep by license key (team seats, receipts) follow a
+  // re-key through these; listeners run inside rekeyLicense's transaction as
+  // listener(oldKey, newKey, record)
+  onRekey(listener) {
+    this.rekeyListeners.push(listener);
+  }
+
+  // Move a license to a new key. Activations are dropped, so every device has
+  // to activate again with the new key. Returns null if the license is gone.
+  rekeyLicense(oldKey) {
+    return this.adapter.transaction(() => {
+      const existing = this.adapter.get(LICENSES, oldKey);
+      if (!existing) return null;
+
+      const newKey = this.newLicenseKey();
+      const record = { ...existing, fullToken: signStoredLicense(newKey, existing.license) };
+      this.adapter.set(LICENSES, newKey, record);
+      this.adapter.delete(LICENSES, oldKey);
+      this.adapter.delete(ACTIVATIONS, oldKey);
+
+      if (record.metadata.paymentIntentId) {
+        this.adapter.set(PAYMENT_INTENTS, record.metadata.paymentIntentId, newKey);
+      }
+      if (record.metadata.subscriptionId) {
+        this.adapter.set(SUBSCRIPTIONS, record.metadata.subscriptionId, newKey);
+      }
+      for (const listener of this.rekeyListeners) {
+        listener(oldKey, newKey, record);
+      }
+      this.recordLicenseEvent('license.rekeyed', newKey, { previousKey: oldKey });
+      return { key: newKey, ...record };
+    });
+  }
+
+  // Full records of licenses with an expiresAt before `date`
+  getLicensesExpiringBefore(date) {
+    return this.adapter.entries(LICENSES)
+      .filter(([, data]) => data.license.expiresAt && new Date(data.license.expiresAt) < date)
+      .map(([key, data]) => ({ key, ...data }));
+  }
+
+  // Full records of every license registered to an email address
+  getLicensesByEmail(email) {
+    const needle = email.trim().toLowerCase();
+    return this.adapter.entries(LICENSES)
+      .filter(([, data]) => (data.license.email || '').toLowerCase() === needle)
+      .map(([key, data]) => ({ key, ...data }));
+  }
+
+  // Filter licenses by email/key substring, exact plan and status
+  searchLicenses({ email, key, plan, status } = {}) {
+    const emailNeedle = email ? email.toLowerCase() : null;
+    const keyNeedle = key ? key.toUpperCase() : null;
+    const all = this.getAllLicenses();
+
+    return Object.entries(all)
+      .filter(([licenseKey, summary]) =>
+        (!emailNeedle || (summary.email || '').toLowerCase().includes(emailNeedle)) &&
+        (!keyNeedle || licenseKey.includes(keyNeedle)) &&
+        (!plan || summary.plan === plan) &&
+        (!status || summary.status === status))
+      .map(([licenseKey, summary]) => ({ key: licenseKey, ...summary }));
   }
 
   getAllLicenses() {
     const result = {};
-    for (const [key, data] of this.licenses.entries()) {
+    for (const [key, data] of this.adapter.entries(LICENSES)) {
       result[key] = {
         plan: data.license.plan,
         name: data.license.name,
         email: data.license.email,
         purchasedAt: data.license.purchasedAt,
         expiresAt: data.license.expiresAt,
+        status: data.status || 'active',
         isDevelopment: data.metadata.isDevelopment || false
       };
     }
     return result;
   }
+
+  logAdminAction(action) {
+    const at = new Date().toISOString();
+    const id = `${at}-${crypto.randomBytes(4).toString('hex')}`;
+    this.adapter.set(ADMIN_ACTIONS, id, { at, ...action });
+  }
+
+  // Newest first, optionally only those touching one target
+  getAdminActions({ target, limit = 100 } = {}) {
+    return this.adapter.entries(ADMIN_ACTIONS)
+      .map(([, action]) => action)
+      .filter((action) => !target || action.target === target)
+      .sort((a, b) => (a.at < b.at ? 1 : -1))
+      .slice(0, limit);
+  }
+
+  // Audit trail of license lifecycle events ("license.issued",
+  // "license.verified", "trial.started", ...). `key` may be null for events
+  // not tied to a license (trials); the email defaults to the license's.
+  recordLicenseEvent(type, key, details = {}) {
+    const { email, ...rest } = details;
+    const license = key && this.adapter.get(LICENSES, key);
+    const address = typeof email === 'string' && email ? email : license && license.license.email;
+    this.auditLog.append({
+      at: new Date().toISOString(),
+      type,
+      key: key || null,
+      email: address ? address.trim().toLowerCase() : null,
+      details: rest,
+      requestId: currentRequestId()
+    });
+  }
+
+  // Newest first, filtered by license key, email and/or event type
+  getLicenseEvents({ key, email, type, limit = 100 } = {}) {
+    const emailNeedle = email ? email.trim().toLowerCase() : null;
+    return this.auditLog.entries()
+      .filter((event) =>
+        (!key || event.key === key) &&
+        (!emailNeedle || event.email === emailNeedle) &&
+        (!type || event.type === type))
+      .sort((a, b) => (a.at < b.at ? 1 : -1))
+      .slice(0, limit);
+  }
+
+  // Drop audit events from days more than `days` ago (whole UTC days);
+  // returns how many were removed
+  pruneLicenseEvents(days) {
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    return this.auditLog.pruneBefore(cutoff.slice(0, 10));
+  }
+
+  // Move audit events recorded in the store by older versions into the audit
+  // log; returns how many were moved
+  migrateLicenseEvents() {
+    return this.adapter.transaction(() => {
+      const legacy = this.adapter.entries(LICENSE_EVENTS).sort(([a], [b]) => (a < b ? -1 : 1));
+      for (const [id, event] of legacy) {
+        this.auditLog.append(event);
+        this.adapter.delete(LICENSE_EVENTS, id);
+      }
+      return legacy.length;
+    });
+  }
 }
 
 // Export singleton instance
-module.exports = new LicenseStore();
+module.exports = new LicenseStore(createStorageAdapter(), createAuditLog());
@@ -1,45 +1,71 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { config } = require('./config.js');
+const stripe = require('stripe')(config.stripe.secretKey);
+const { logger } = require('./logger.js');
+const { addressMetadata, metadataAddress } = require('./billingaddress.js');
 
-// Create Stripe subscription for annual plan
-async function createStripeSubscription({ name, email, phone, billingAddress }) {
-  try {
-    // Create or get customer
-    let customer;
-    const existingCustomers = await stripe.customers.list({
-      email: email,
-      limit: 1,
-    });
+function stripeAddress(billingAddress) {
+  return {
+    line1: billingAddress.line1,
+    line2: billingAddress.line2 || null,
+    city: billingAddress.city,
+    state: billingAddress.state,
+    postal_code: billingAddress.postalCode,
+    country: billingAddress.country || 'US',
+  };
+}
 
-    if (existingCustomers.data.length > 0) {
-      customer = existingCustomers.data[0];
-    } else {
-      customer = await stripe.customers.create({
-        name,
-        email,
-        phone,
-        address: billingAddress ? {
-          line1: billingAddress.line1,
-          line2: billingAddress.line2 || null,
-          city: billingAddress.city,
-          state: billingAddress.state,
-          postal_code: billingAddress.postalCode,
-          country: billingAddress.country || 'US',
-        } : null,
-      });
-    }
+// The customer with this email, or a new one. Anyone can start a purchase
+// with any email, so a returning customer is left as it is; the billing
+// address and tax id given for the purchase go on its payment intent or
+// subscription instead.
+async function findOrCreateStripeCustomer({ name, email, phone, billingAddress, taxId }) {
+  const existingCustomers = await stripe.customers.list({
+    email: email,
+    limit: 1,
+  });
+
+  if (existingCustomers.data.length > 0) {
+    return existingCustomers.data[0];
+  }
+
+  return stripe.customers.create({
+    name,
+    email,
+    phone,
+    address: billingAddress ? stripeAddress(billingAddress) : null,
+    ...(taxId ? { metadata: { taxId } } : {}),
+  });
+}
+
+// Create Stripe subscription for a subscription plan from the catalog
+// (an optional promo is applied through its Stripe coupon or promotion code)
+// (per-seat plans are billed for `quantity` seats)
+async function createStripeSubscription({ plan, quantity = 1, promo, name, email, phone, billingAddress, taxId }) {
+  try {
+    const customer = await findOrCreateStripeCustomer({ name, email, phone, billingAddress, taxId });
 
     // Create subscription
     const subscription = await stripe.subscriptions.create({
       customer: customer.id,
       items: [{
-        price: process.env.STRIPE_PRICE_ID_YEARLY,
+        price: plan.stripePriceId,
+        quantity,
       }],
+      ...(promo ? {
+        discounts: [promo.stripePromotionCodeId
+          ? { promotion_code: promo.stripePromotionCodeId }
+          : { coupon: promo.stripeCouponId }],
+      } : {}),
       payment_behavior: 'default_incomplete',
       expand: ['latest_invoice.payment_intent'],
       metadata: {
-        plan: 'annual',
+        plan: plan.id,
         customerName: name,
-        customerEmail: email
+        customerEmail: email,
+        quantity: String(quantity),
+        ...(promo ? { promoCode: promo.code } : {}),
+        ...addressMetadata(billingAddress && stripeAddress(billingAddress)),
+        ...(taxId ? { taxId } : {})
       }
     });
 
@@ -50,51 +76,37 @@ async function createStripeSubscription({ name, email, phone, billingAddress })
       customerId: customer.id
     };
   } catch (error) {
-    console.error('Stripe subscription error:', error);
+    logger.error('Stripe subscription error', { error });
     return { ok: false, error: error.message };
   }
 }
 
-// Create Stripe payment intent for lifetime plan
-async function createStripePaymentIntent({ amount, name, email, phone, billingAddress }) {
+// Create Stripe payment intent for a one-time plan from the catalog
+// (`amount` is the total for `quantity` seats after any promo discount; an
+// upgrade payment names the license it upgrades in `upgradeLicenseKey` and the
+// subscription it replaces in `upgradeSubscriptionId`)
+async function createStripePaymentIntent({ plan, amount, quantity = 1, promoCode, upgradeLicenseKey, upgradeSubscriptionId, name, email, phone, billingAddress, taxId }) {
   try {
-    // Create or get customer
-    let customer;
-    const existingCustomers = await stripe.customers.list({
-      email: email,
-      limit: 1,
-    });
-
-    if (existingCustomers.data.length > 0) {
-      customer = existingCustomers.data[0];
-    } else {
-      customer = await stripe.customers.create({
-        name,
-        email,
-        phone,
-        address: billingAddress ? {
-          line1: billingAddress.line1,
-          line2: billingAddress.line2 || null,
-          city: billingAddress.city,
-          state: billingAddress.state,
-          postal_code: billingAddress.postalCode,
-          country: billingAddress.country || 'US',
-        } : null,
-      });
-    }
+    const customer = await findOrCreateStripeCustomer({ name, email, phone, billingAddress, taxId });
 
     // Create payment intent
     const paymentIntent = await stripe.paymentIntents.create({
       amount: amount, // Amount in cents
-      currency: process.env.CURRENCY || 'USD',
+      currency: plan.currency,
       customer: customer.id,
       receipt_email: email,
       metadata: {
-        plan: 'lifetime',
+        plan: plan.id,
         name,
-        email
+        email,
+        quantity: String(quantity),
+        ...(promoCode ? { promoCode } : {}),
+        ...(upgradeLicenseKey ? { upgradeLicenseKey } : {}),
+        ...(upgradeSubscriptionId ? { upgradeSubscriptionId } : {}),
+        ...addressMetadata(billingAddress && stripeAddress(billingAddress)),
+        ...(taxId ? { taxId } : {})
       },
-      description: 'PDF Forge Pro - Lifetime License'
+      description: upgradeLicenseKey ? `Upgrade to ${plan.name}` : `${plan.name} License`
     });
 
     return {
@@ -104,56 +116,211 @@ async function createStripePaymentIntent({ amount, name, email, phone, billingAd
       customerId: customer.id
     };
   } catch (error) {
-    console.error('Stripe payment intent error:', error);
+    logger.error('Stripe payment intent error', { error });
     return { ok: false, error: error.message };
   }
 }
 
-// Verify Stripe payment
+// Verify Stripe payment. For a payment intent this includes the amount paid;
+// for a subscription, its latest invoice (which receipts are made from).
 async function verifyStripePayment(type, id) {
   try {
     let paymentSucceeded = false;
     let customerInfo = {};
+    let planId = null;
+    let promoCode = null;
+    let quantity = 1;
+    let upgradeLicenseKey = null;
+    let upgradeSubscriptionId = null;
+    let customerId = null;
+    let amount = null;
+    let currency = null;
+    let invoice = null;
 
     if (type === 'payment_intent') {
       const paymentIntent = await stripe.paymentIntents.retrieve(id);
       paymentSucceeded = paymentIntent.status === 'succeeded';
+      planId = paymentIntent.metadata?.plan || null;
+      promoCode = paymentIntent.metadata?.promoCode || null;
+      quantity = parseInt(paymentIntent.metadata?.quantity || '1', 10);
+      upgradeLicenseKey = paymentIntent.metadata?.upgradeLicenseKey || null;
+      upgradeSubscriptionId = paymentIntent.metadata?.upgradeSubscriptionId || null;
+      customerId = paymentIntent.customer || null;
+      amount = paymentIntent.amount_received || paymentIntent.amount;
+      currency = paymentIntent.currency;
       
       if (paymentSucceeded && paymentIntent.customer) {
         const customer = await stripe.customers.retrieve(paymentIntent.customer);
         customerInfo = {
           name: customer.name || paymentIntent.metadata?.name,
-          email: customer.email || paymentIntent.metadata?.email
+          email: customer.email || paymentIntent.metadata?.email,
+          address: metadataAddress(paymentIntent.metadata) || customer.address || null,
+          taxId: paymentIntent.metadata?.taxId || customer.metadata?.taxId || null
         };
       }
     } else if (type === 'subscription') {
-      const subscription = await stripe.subscriptions.retrieve(id);
+      const subscription = await stripe.subscriptions.retrieve(id, { expand: ['latest_invoice'] });
       paymentSucceeded = ['active', 'trialing'].includes(subscription.status);
+      planId = subscription.metadata?.plan || null;
+      promoCode = subscription.metadata?.promoCode || null;
+      quantity = subscription.items?.data?.[0]?.quantity || 1;
+      customerId = subscription.customer || null;
+      invoice = subscription.latest_invoice || null;
       
       if (paymentSucceeded && subscription.customer) {
         const customer = await stripe.customers.retrieve(subscription.customer);
         customerInfo = {
           name: customer.name || subscription.metadata?.customerName,
-          email: customer.email || subscription.metadata?.customerEmail
+          email: customer.email || subscription.metadata?.customerEmail,
+          address: metadataAddress(subscription.metadata) || customer.address || null,
+          taxId: subscription.metadata?.taxId || customer.metadata?.taxId || null
         };
       }
     }
 
     return {
       success: paymentSucceeded,
-      customerInfo
+      customerInfo,
+      planId,
+      promoCode,
+      quantity,
+      upgradeLicenseKey,
+      upgradeSubscriptionId,
+      customerId,
+      amount,
+      currency,
+      invoice
     };
   } catch (error) {
-    console.error('Stripe verification error:', error);
+    logger.error('Stripe verification error', { type, id, error });
     return { success: false, error: error.message };
   }
 }
 
-// Helper to create annual price (run this once to set up)
-async function createAnnualPrice(amountInCents) {
+// One-off Stripe coupon mirroring a promo code, for discounting subscriptions
+async function createStripeCoupon(promo) {
+  // The id is fixed per promo and version of its terms, so purchases racing
+  // to create its coupon end up sharing one, and editing the discount makes a
+  // new one
+  const id = `promo_${promo.code}_${Date.parse(promo.createdAt) || 0}_v${promo.termsVersion || 1}`;
+  try {
+    await stripe.coupons.create({
+      id,
+      name: promo.code,
+      duration: 'once',
+      ...(promo.type === 'percent'
+        ? { percent_off: promo.value }
+        : { amount_off: promo.value, currency: promo.currency }),
+      metadata: { promoCode: promo.code }
+    });
+  } catch (error) {
+    if (error.code !== 'resource_already_exists') throw error;
+  }
+  return id;
+}
+
+async function retrieveStripeCharge(chargeId) {
+  return stripe.charges.retrieve(chargeId);
+}
+
+// Subscription an invoice belongs to (null for one-off invoices)
+async function getStripeInvoiceSubscription(invoiceId) {
+  const invoice = await stripe.invoices.retrieve(invoiceId);
+  return invoice.subscription || null;
+}
+
+// Verify a webhook delivery's signature and parse its event; throws if the
+// signature doesn't match STRIPE_WEBHOOK_SECRET
+function parseStripeWebhook(rawBody, signature) {
+  return stripe.webhooks.constructEvent(rawBody, signature, config.stripe.webhookSecret);
+}
+
+// Hosted Stripe Checkout for a catalog plan, as an alternative to the embedded
+// flow above. A discounted purchase passes the promo's Stripe coupon (or
+// promotion code). Licenses are issued from the completed session, so the
+// session metadata carries everything needed.
+async function createStripeCheckoutSession({ plan, quantity = 1, promo, email, successUrl, cancelUrl }) {
+  const metadata = {
+    plan: plan.id,
+    quantity: String(quantity),
+    ...(promo ? { promoCode: promo.code } : {})
+  };
+  const isSubscription = plan.billing === 'subscription';
+
+  const session = await stripe.checkout.sessions.create({
+    mode: isSubscription ? 'subscription' : 'payment',
+    line_items: [isSubscription
+      ? { price: plan.stripePriceId, quantity }
+      : {
+        price_data: {
+          currency: plan.currency,
+          unit_amount: plan.amount,
+          product_data: { name: `${plan.name} License` }
+        },
+        quantity
+      }],
+    ...(promo ? {
+      discounts: [promo.stripePromotionCodeId
+        ? { promotion_code: promo.stripePromotionCodeId }
+        : { coupon: promo.stripeCouponId }],
+    } : {}),
+    ...(email ? { customer_email: email } : {}),
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    metadata,
+    // Copied onto the subscription/payment intent so the other webhooks know
+    // where it came from
+    ...(isSubscription
+      ? { subscription_data: { metadata } }
+      : { customer_creation: 'always', payment_intent_data: { metadata: { ...metadata, checkoutSession: 'true' } } })
+  });
+
+  return { sessionId: session.id, url: session.url };
+}
+
+async function retrieveStripeCheckoutSession(sessionId) {
+  return stripe.checkout.sessions.retrieve(sessionId);
+}
+
+// Stripe-hosted page where a customer updates cards or cancels
+async function createStripePortalSession(customerId, returnUrl) {
+  const session = await stripe.billingPortal.sessions.create({
+    customer: customerId,
+    return_url: returnUrl
+  });
+  return session.url;
+}
+
+// Customer a subscription bills
+async function getStripeSubscriptionCustomer(subscriptionId) {
+  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+  return subscription.customer || null;
+}
+
+// Move a subscription to another plan's price. The prorated difference is
+// invoiced and charged right away; if that payment fails the change is not
+// made. Returns the updated subscription.
+async function changeStripeSubscriptionPlan(subscriptionId, plan) {
+  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+  return stripe.subscriptions.update(subscriptionId, {
+    items: [{ id: subscription.items.data[0].id, price: plan.stripePriceId }],
+    proration_behavior: 'always_invoice',
+    payment_behavior: 'error_if_incomplete',
+    metadata: { plan: plan.id }
+  });
+}
+
+// Cancel a subscription immediately, without refunding the unused period
+async function cancelStripeSubscription(subscriptionId) {
+  return stripe.subscriptions.cancel(subscriptionId);
+}
+
+// Helper to create annual price (run this once to set up, and once per
+// regional currency in plans.json, passing the first price's product)
+async function createAnnualPrice(amountInCents, { currency = config.currency, productId } = {}) {
   try {
     // Create product
-    const product = await stripe.products.create({
+    const product = productId ? { id: productId } : await stripe.products.create({
       name: 'PDF Forge Pro - Annual License',
       description: 'Annual subscription to PDF Forge Pro with all premium features',
     });
@@ -161,15 +328,15 @@ async function createAnnualPrice(amountInCents) {
     // Create price
     const price = await stripe.prices.create({
       unit_amount: amountInCents,
-      currency: 'usd',
+      currency: currency.toLowerCase(),
       recurring: { interval: 'year' },
       product: product.id,
     });
 
-    console.log('Created annual price:', price.id);
+    logger.info('Created annual price', { priceId: price.id, currency: price.currency });
     return price;
   } catch (error) {
-    console.error('Error creating annual price:', error);
+    logger.error('Error creating annual price', { error });
     throw error;
   }
 }
@@ -178,5 +345,15 @@ module.exports = {
   createStripeSubscription,
   createStripePaymentIntent,
   verifyStripePayment,
+  parseStripeWebhook,
+  createStripeCoupon,
+  retrieveStripeCharge,
+  getStripeInvoiceSubscription,
+  changeStripeSubscriptionPlan,
+  cancelStripeSubscription,
+  createStripeCheckoutSession,
+  retrieveStripeCheckoutSession,
+  createStripePortalSession,
+  getStripeSubscriptionCustomer,
   createAnnualPrice
 };
@@ -0,0 +1,94 @@
+// team.js
+// Seat management for team licenses, mounted at /api/team.
+// The team owner authenticates with the owner license key, like the other
+// license endpoints; seats are handed out to member emails, each of which gets
+// its own license key by email.
+const express = require("express");
+
+const store = require("./store.js");
+const { logger } = require("./logger.js");
+const teams = require("./teams.js");
+const { notifyLicenseIssued } = require("./mailer.js");
+
+const router = express.Router();
+
+// Resolve the owner license from req.body.licenseKey
+function requireOwner(req, res, next) {
+  const { licenseKey } = req.body;
+  if (!licenseKey) {
+    return res.status(400).json({ ok: false, error: "License key required" });
+  }
+
+  const owner = store.getLicenseByKey(licenseKey);
+  if (!owner) {
+    return res.status(400).json({ ok: false, error: "Invalid license key" });
+  }
+  if (!teams.isOwner(owner)) {
+    return res.status(400).json({ ok: false, error: "Not a team license" });
+  }
+  req.owner = owner;
+  next();
+}
+
+function describeSeats(owner) {
+  const seats = teams.list(owner.key);
+  return {
+    seats: owner.metadata.seats,
+    assigned: seats.length,
+    members: seats.map(({ email, name, assignedAt }) => ({ email, name, assignedAt })),
+  };
+}
+
+router.use(requireOwner);
+
+// Seat count and who holds each seat
+router.post("/seats", (req, res) => {
+  res.json({ ok: true, ...describeSeats(req.owner) });
+});
+
+router.post("/seats/assign", (req, res) => {
+  try {
+    const { email, name } = req.body;
+    const result = teams.assign(req.owner.key, { email, name });
+    if (!result.ok) {
+      return res.status(400).json(result);
+    }
+
+    notifyLicenseIssued(result.member);
+    res.json({ ok: true, ...describeSeats(store.getLicenseByKey(req.owner.key)) });
+  } catch (error) {
+    logger.error("Team seat assign error", { error });
+    res.status(500).json({ ok: false, error: "Failed to assign seat" });
+  }
+});
+
+router.post("/seats/revoke", (req, res) => {
+  try {
+    if (!teams.revoke(req.owner.key, req.body.email)) {
+      return res.status(404).json({ ok: false, error: "Seat not found" });
+    }
+    res.json({ ok: true, ...describeSeats(store.getLicenseByKey(req.owner.key)) });
+  } catch (error) {
+    logger.error("Team seat revoke error", { error });
+    res.status(500).json({ ok: false, error: "Failed to revoke seat" });
+  }
+});
+
+// Hand a seat from one member to another
+router.post("/seats/reassign", (req, res) => {
+  try {
+    const { fromEmail, email, name } = req.body;
+    const result = teams.reassign(req.owner.key, fromEmail, { email, name });
+    if (!result.ok) {
+      return res.status(400).json(result);
+    }
+
+    notifyLicenseIssued(result.member);
+    res.json({ ok: true, ...describeSeats(store.getLicenseByKey(req.owner.key)) });
+  } catch (error) {
+    logger.error("Team seat reassign error", { error });
+    res.status(500).json({ ok: false, error: "Failed to reassign seat" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+// Team (per-seat) licenses. A team purchase issues one owner license whose
+// metadata carries the paid seat count; the owner assigns seats to member
+// emails, and each seat is a member license of its own with
+// metadata.parentKey pointing back at the owner license. Members follow the
+// owner's expiry and status.
+
+const store = require('./store.js');
+
+const SEATS = 'teamSeats'; // parentKey -> [{ email, name, licenseKey, assignedAt }]
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+class TeamSeats {
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  // Owner licenses are the ones carrying a paid seat count
+  isOwner(record) {
+    return Boolean(record && Number.isInteger(record.metadata.seats));
+  }
+
+  // Why seats of this license can't be given out right now, or null
+  ownerError(owner) {
+    if (!this.isOwner(owner)) return 'Not a team license';
+    if (owner.status && owner.status !== 'active') return 'Team license is not active';
+    return null;
+  }
+
+  list(parentKey) {
+    return this.adapter.get(SEATS, parentKey) || [];
+  }
+
+  // Give a seat to a member email and issue their license. Returns
+  // { ok: true, seat, member } or { ok: false, error }.
+  assign(parentKey, { email, name }) {
+    const memberEmail = normalizeEmail(email);
+    if (!memberEmail.includes('@')) {
+      return { ok: false, error: 'Valid member email required' };
+    }
+
+    return this.adapter.transaction(() => {
+      const owner = store.getLicenseByKey(parentKey);
+      const ownerError = this.ownerError(owner);
+      if (ownerError) return { ok: false, error: ownerError };
+
+      const seats = this.list(parentKey);
+      if (seats.some((seat) => seat.email === memberEmail)) {
+        return { ok: false, error: 'Email already has a seat' };
+      }
+      if (seats.length >= owner.metadata.seats) {
+        return { ok: false, error: 'All seats are assigned' };
+      }
+
+      const member = store.issueLicense({
+        name: name || memberEmail,
+        email: memberEmail,
+        plan: owner.license.plan,
+        purchasedAt: new Date().toISOString(),
+        expiresAt: owner.license.expiresAt
+      }, { parentKey });
+
+      const seat = { email: memberEmail, name: name || null, licenseKey: member.key, assignedAt: new Date().toISOString() };
+      this.adapter.set(SEATS, parentKey, [...seats, seat]);
+      return { ok: true, seat, member };
+    });
+  }
+
+  // Take a seat back; the member's license is revoked. Returns the freed seat.
+  revoke(parentKey, email, reason = 'seat_revoked') {
+    const memberEmail = normalizeEmail(email);
+    return this.adapter.transaction(() => {
+      const seats = this.list(parentKey);
+      const seat = seats.find((s) => s.email === memberEmail);
+      if (!seat) return null;
+
+      store.setLicenseStatus(seat.licenseKey, 'revoked', reason);
+      this.adapter.set(SEATS, parentKey, seats.filter((s) => s !== seat));
+      return seat;
+    });
+  }
+
+  // Move a seat to someone else: the old member's license is revoked and the
+  // new member gets a fresh one
+  reassign(parentKey, fromEmail, { email, name }) {
+    const newEmail = normalizeEmail(email);
+    return this.adapter.transaction(() => {
+      // Checked before the old seat is revoked, as assign would refuse after it
+      const ownerError = this.ownerError(store.getLicenseByKey(parentKey));
+      if (ownerError) return { ok: false, error: ownerError };
+
+      const seats = this.list(parentKey);
+      if (!seats.some((seat) => seat.email === normalizeEmail(fromEmail))) {
+        return { ok: false, error: 'Seat not found' };
+      }
+      if (!newEmail.includes('@')) {
+        return { ok: false, error: 'Valid member email required' };
+      }
+      if (seats.some((seat) => seat.email === newEmail)) {
+        return { ok: false, error: 'Email already has a seat' };
+      }
+
+      this.revoke(parentKey, fromEmail, 'seat_reassigned');
+      return this.assign(parentKey, { email, name });
+    });
+  }
+
+  // Follow a change in the number of paid seats. When seats are removed, the
+  // most recently assigned ones are revoked first.
+  setSeatCount(parentKey, seatCount) {
+    return this.adapter.transaction(() => {
+      const owner = store.getLicenseByKey(parentKey);
+      if (!this.isOwner(owner)) return [];
+
+      store.updateMetadata(parentKey, { seats: seatCount });
+      const seats = this.list(parentKey);
+      const excess = [...seats]
+        .sort((a, b) => (a.assignedAt < b.assignedAt ? 1 : -1))
+        .slice(0, Math.max(0, seats.length - seatCount));
+      return excess.map((seat) => this.revoke(parentKey, seat.email, 'seats_reduced'));
+    });
+  }
+
+  // Follow a re-keyed license (see LicenseStore#onRekey): an owner's seats move
+  // to the new key and its members point at it; a member's seat records its
+  // new key
+  moveLicense(oldKey, newKey, record) {
+    this.adapter.transaction(() => {
+      const seats = this.adapter.get(SEATS, oldKey);
+      if (seats) {
+        this.adapter.set(SEATS, newKey, seats);
+        this.adapter.delete(SEATS, oldKey);
+        for (const seat of seats) {
+          store.updateMetadata(seat.licenseKey, { parentKey: newKey });
+        }
+      }
+
+      const { parentKey } = record.metadata;
+      if (parentKey) {
+        const ownerSeats = this.list(parentKey);
+        this.adapter.set(SEATS, parentKey, ownerSeats.map((seat) =>
+          seat.licenseKey === oldKey ? { ...seat, licenseKey: newKey } : seat));
+      }
+    });
+  }
+
+  // Copy the owner's expiry onto every member license, e.g. after a renewal
+  syncMembers(parentKey) {
+    const owner = store.getLicenseByKey(parentKey);
+    if (!this.isOwner(owner)) return;
+
+    for (const seat of this.list(parentKey)) {
+      const member = store.getLicenseByKey(seat.licenseKey);
+      if (member && member.license.expiresAt !== owner.license.expiresAt) {
+        store.updateLicense(member.key, { ...member.license, expiresAt: owner.license.expiresAt });
+      }
+    }
+  }
+}
+
+const teams = new TeamSeats(store.adapter);
+store.onRekey((oldKey, newKey, record) => teams.moveLicense(oldKey, newKey, record));
+
+module.exports = teams;
@@ -0,0 +1,80 @@
+// Server-side trial registry, so wiping local storage does not buy a new trial.
+// Trials are keyed by device fingerprint, with an optional email index.
+
+const store = require('./store.js');
+
+const TRIALS = 'trials'; // deviceId -> { deviceId, email, startedAt, durationDays }
+const TRIAL_EMAILS = 'trialEmails'; // email -> deviceId
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeEmail(email) {
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+}
+
+class TrialRegistry {
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  get(deviceId) {
+    return this.adapter.get(TRIALS, deviceId);
+  }
+
+  expiresAt(trial) {
+    return new Date(new Date(trial.startedAt).getTime() + trial.durationDays * DAY_MS);
+  }
+
+  // Start a trial for a device, or return the one it (or its email) already has
+  start({ deviceId, email, durationDays }) {
+    const normalizedEmail = normalizeEmail(email);
+
+    return this.adapter.transaction(() => {
+      const existing = this.get(deviceId);
+      if (existing) return { trial: existing, created: false };
+
+      if (normalizedEmail) {
+        const emailDeviceId = this.adapter.get(TRIAL_EMAILS, normalizedEmail);
+        const emailTrial = emailDeviceId && this.get(emailDeviceId);
+        if (emailTrial) return { trial: emailTrial, created: false };
+      }
+
+      const trial = {
+        deviceId,
+        email: normalizedEmail,
+        startedAt: new Date().toISOString(),
+        durationDays,
+      };
+      this.adapter.set(TRIALS, deviceId, trial);
+      if (normalizedEmail) {
+        this.adapter.set(TRIAL_EMAILS, normalizedEmail, deviceId);
+      }
+      return { trial, created: true };
+    });
+  }
+
+  // Forget a device's trial so it can start a fresh one
+  reset(deviceId) {
+    return this.adapter.transaction(() => {
+      const trial = this.get(deviceId);
+      if (!trial) return false;
+      this.adapter.delete(TRIALS, deviceId);
+      if (trial.email && this.adapter.get(TRIAL_EMAILS, trial.email) === deviceId) {
+        this.adapter.delete(TRIAL_EMAILS, trial.email);
+      }
+      return true;
+    });
+  }
+
+  extend(deviceId, days) {
+    return this.adapter.transaction(() => {
+      const trial = this.get(deviceId);
+      if (!trial) return null;
+      trial.durationDays += days;
+      this.adapter.set(TRIALS, deviceId, trial);
+      return trial;
+    });
+  }
+}
+
+module.exports = new TrialRegistry(store.adapter);
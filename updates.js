@@ -0,0 +1,149 @@
+// updates.js
+// Desktop app update checks and release downloads, mounted at /api/updates.
+// The app sends its license or trial token (Authorization: Bearer, or
+// ?token=) and gets the newest release that token covers, with a signed,
+// expiring download link (see releases.js).
+//
+// The default response is the JSON Squirrel.Mac and Tauri's updater read from
+// an update server: 204 when there is nothing newer than ?currentVersion=,
+// otherwise { version, name, notes, pub_date, url, signature }.
+// ?format=electron returns the fields of electron-updater's latest.yml
+// instead (JSON is valid YAML).
+const express = require("express");
+
+const store = require("./store.js");
+const trials = require("./trials.js");
+const releases = require("./releases.js");
+const { verifyLicenseToken, verifyTrialToken } = require("./license.js");
+const { getPlanByLicensePlan, tierOf } = require("./plans.js");
+const { logger } = require("./logger.js");
+const { metrics } = require("./metrics.js");
+
+const router = express.Router();
+
+const FORMATS = ["squirrel", "electron"];
+
+// Release tier a token is entitled to. Throws for invalid tokens, expired,
+// revoked or suspended licenses and ended trials.
+function tierForToken(token) {
+  let license;
+  try {
+    license = verifyLicenseToken(token);
+  } catch (error) {
+    // Expired, revoked and suspended licenses carry a code; anything else
+    // may be a trial token
+    if (error.code) throw error;
+
+    const { deviceId } = verifyTrialToken(token);
+    const trial = deviceId && trials.get(deviceId);
+    if (!trial || trials.expiresAt(trial) < new Date()) {
+      throw new Error("Trial has ended");
+    }
+    return tierOf("trial");
+  }
+
+  // The stored license has the current plan, after any upgrade
+  const stored = license.licenseKey && store.getLicenseByKey(license.licenseKey);
+  const plan = getPlanByLicensePlan(stored ? stored.license.plan : license.plan);
+  return plan ? plan.tier : tierOf("trial");
+}
+
+function tokenFrom(req) {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Bearer ")) return header.slice("Bearer ".length).trim();
+  return typeof req.query.token === "string" ? req.query.token : null;
+}
+
+// ?platform= (e.g. win32-x64, darwin-arm64), ?channel= (stable or beta),
+// ?currentVersion=, ?format=
+router.get("/latest", (req, res) => {
+  const { platform, channel = "stable", currentVersion, format = "squirrel" } = req.query;
+  if (!releases.isValidPlatform(platform)) {
+    return res.status(400).json({ ok: false, error: "platform required, e.g. win32-x64" });
+  }
+  if (!releases.isValidChannel(channel)) {
+    return res.status(400).json({ ok: false, error: "Unknown channel" });
+  }
+  if (currentVersion !== undefined && !releases.isValidVersion(currentVersion)) {
+    return res.status(400).json({ ok: false, error: "currentVersion must be a semantic version" });
+  }
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ ok: false, error: `format must be one of ${FORMATS.join(", ")}` });
+  }
+
+  const token = tokenFrom(req);
+  if (!token) {
+    return res.status(401).json({ ok: false, error: "License or trial token required" });
+  }
+
+  let tier;
+  try {
+    tier = tierForToken(token);
+  } catch (error) {
+    metrics.updateChecks.inc({ result: "denied" });
+    if (error.code === "LICENSE_REVOKED" || error.code === "LICENSE_SUSPENDED") {
+      return res.status(403).json({ ok: false, error: error.message });
+    }
+    return res.status(401).json({ ok: false, error: "Invalid or expired token" });
+  }
+
+  try {
+    const release = releases.latest({ tier, channel, platform });
+    if (!release || (currentVersion && !releases.isNewer(release.version, currentVersion))) {
+      metrics.updateChecks.inc({ result: "current" });
+      return res.status(204).end();
+    }
+
+    const artifact = release.artifacts[platform];
+    const url = releases.downloadUrl(release, platform);
+    metrics.updateChecks.inc({ result: "update" });
+    res.set("Cache-Control", "private, no-store");
+
+    if (format === "electron") {
+      return res.json({
+        version: release.version,
+        files: [{ url, sha512: artifact.sha512, size: artifact.size }],
+        path: url,
+        sha512: artifact.sha512,
+        releaseDate: release.releasedAt,
+        releaseNotes: release.notes,
+      });
+    }
+    res.json({
+      version: release.version,
+      name: `PDF Forge Pro ${release.version}`,
+      notes: release.notes,
+      pub_date: release.releasedAt,
+      url,
+      ...(artifact.signature ? { signature: artifact.signature } : {}),
+      sha512: artifact.sha512,
+      size: artifact.size,
+    });
+  } catch (error) {
+    logger.error("Update check error", { error });
+    res.status(500).json({ ok: false, error: "Failed to check for updates" });
+  }
+});
+
+// Signed link from /latest: ?expires=&signature=
+router.get("/download/:version/:platform", (req, res) => {
+  const { version, platform } = req.params;
+  const { expires, signature } = req.query;
+  const artifact = releases.verifyDownload({ version, platform, expires, signature });
+  if (!artifact) {
+    return res.status(403).json({ ok: false, error: "Download link is invalid or has expired" });
+  }
+
+  res.download(artifact.path, artifact.fileName, (error) => {
+    if (!error) {
+      metrics.releaseDownloads.inc({ platform });
+      return;
+    }
+    logger.error("Release download error", { version, platform, error });
+    if (!res.headersSent) {
+      res.status(404).json({ ok: false, error: "Release file not found" });
+    }
+  });
+});
+
+module.exports = router;
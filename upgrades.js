@@ -0,0 +1,135 @@
+// Plan changes for existing licenses. The license key (and its activations)
+// stays the same either way:
+//   subscription -> subscription (monthly <-> annual): the Stripe subscription
+//     item moves to the new price and Stripe prorates the difference
+//   subscription -> one-time (annual -> lifetime): the customer pays the new
+//     price minus a credit for the unused part of the current period, then the
+//     subscription is cancelled and the license converted
+// One-time licenses have nothing to upgrade from, and team licenses change
+// their seat count instead.
+
+const store = require('./store.js');
+const { MIN_CHARGE_AMOUNT, getPlanByLicensePlan, planInCurrency, licenseForPlan } = require('./plans.js');
+const payments = require('./payments.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Credit for the unused part of a subscription license's current period, out
+// of what was paid for that period (metadata.amount, kept up to date by
+// renewals), or the plan's price if that isn't known
+function unusedCredit(plan, stored, now = new Date()) {
+  const { license, metadata } = stored;
+  if (!license.expiresAt || !plan.durationDays) return 0;
+  const paid = Number.isInteger(metadata.amount) ? metadata.amount : plan.amount;
+  const periodMs = plan.durationDays * DAY_MS;
+  const remainingMs = Math.min(Math.max(new Date(license.expiresAt) - now, 0), periodMs);
+  return Math.round((paid * remainingMs) / periodMs);
+}
+
+// How a stored license would move to a target plan, priced in the currency
+// the license was bought in. Returns
+// { ok: true, kind: 'subscription', from, to } for a subscription change,
+// { ok: true, kind: 'purchase', from, to, credit, amount } for a paid upgrade,
+// or { ok: false, error }.
+function quoteUpgrade(stored, plan) {
+  const listed = getPlanByLicensePlan(stored.license.plan);
+  // Licenses from before regional pricing were all bought at list price
+  const currency = stored.metadata.currency || (listed && listed.currency);
+  const from = listed && (planInCurrency(listed, currency) || listed);
+  const target = plan && planInCurrency(plan, currency || plan.currency);
+
+  if (stored.status && stored.status !== 'active') {
+    return { ok: false, error: 'License is not active' };
+  }
+  if (!plan || !plan.available) {
+    return { ok: false, error: 'Invalid plan' };
+  }
+  if (stored.metadata.parentKey || (from && from.perSeat) || plan.perSeat) {
+    return { ok: false, error: "Team licenses can't change plan" };
+  }
+  if (!from || from.billing !== 'subscription' || !stored.metadata.subscriptionId) {
+    return { ok: false, error: 'Only subscription licenses can change plan' };
+  }
+  if (from.id === plan.id) {
+    return { ok: false, error: 'License is already on this plan' };
+  }
+  if (!target || !target.available) {
+    return { ok: false, error: "Plan is not sold in this license's currency" };
+  }
+
+  if (target.billing === 'subscription') {
+    return { ok: true, kind: 'subscription', from, to: target };
+  }
+
+  const credit = unusedCredit(from, stored);
+  return {
+    ok: true,
+    kind: 'purchase',
+    from,
+    to: target,
+    credit,
+    amount: Math.max(target.amount - credit, MIN_CHARGE_AMOUNT)
+  };
+}
+
+// Move a subscription license to another subscription plan; returns the
+// converted record. Throws if Stripe refuses the change (e.g. payment failed).
+async function changeSubscriptionPlan(stored, target) {
+  const subscription = await payments.changeSubscriptionPlan(stored.metadata.subscriptionId, target);
+  return store.convertLicense(stored.key, {
+    ...stored.license,
+    plan: target.licensePlan,
+    expiresAt: new Date(subscription.current_period_end * 1000).toISOString()
+  }, {
+    // Stripe prorates the change, so what the new period costs is only known
+    // from the next renewal
+    amount: null,
+    previousPlan: stored.license.plan,
+    planChangedAt: new Date().toISOString()
+  });
+}
+
+// Apply a paid upgrade once its payment intent has succeeded: cancel the
+// subscription and convert the license to the purchased plan. Called from both
+// the webhook and /api/license/upgrade/complete, so a second call for the same
+// payment returns the license unchanged. `paidAmount` is what the payment
+// intent collected.
+async function completePurchasedUpgrade(stored, target, paymentIntentId, paidAmount = null) {
+  const subscriptionId = stored.metadata.subscriptionId;
+  if (stored.metadata.paymentIntentId === paymentIntentId || !subscriptionId) {
+    return stored;
+  }
+
+  // Cancel first: if Stripe fails, the license stays as it was and the
+  // webhook can be retried
+  await payments.cancelSubscription(subscriptionId);
+
+  return store.convertLicense(stored.key, {
+    ...stored.license,
+    plan: target.licensePlan,
+    expiresAt: licenseForPlan(target, stored.license).expiresAt
+  }, {
+    paymentIntentId,
+    subscriptionId: null,
+    amount: paidAmount,
+    previousPlan: stored.license.plan,
+    planChangedAt: new Date().toISOString()
+  });
+}
+
+// The license an upgrade payment intent is for. Looked up by the payment
+// intent once the upgrade is done, then by the subscription it replaces, as
+// the license key may have been regenerated since the intent was created.
+function findUpgradedLicense({ paymentIntentId, upgradeSubscriptionId, upgradeLicenseKey }) {
+  return (paymentIntentId && store.getLicenseByPaymentIntent(paymentIntentId)) ||
+    (upgradeSubscriptionId && store.getLicenseBySubscription(upgradeSubscriptionId)) ||
+    (upgradeLicenseKey && store.getLicenseByKey(upgradeLicenseKey)) ||
+    null;
+}
+
+module.exports = {
+  quoteUpgrade,
+  findUpgradedLicense,
+  changeSubscriptionPlan,
+  completePurchasedUpgrade
+};
@@ -0,0 +1,339 @@
+// api/webhooks.js
+// Stripe webhook event handling. Every event goes through the webhook event
+// log (events.js), so each one is applied once even when Stripe redelivers
+// it, and failures can be replayed from the admin API.
+const store = require("./store.js");
+const { logger } = require("./logger.js");
+const { metrics } = require("./metrics.js");
+const eventLog = require("./events.js");
+const { notifyLicenseIssued } = require("./mailer.js");
+const { getPlan, getPlanByPriceId, licenseForPlan } = require("./plans.js");
+const promos = require("./promos.js");
+const teams = require("./teams.js");
+const receipts = require("./receipts.js");
+const { completePurchasedUpgrade, findUpgradedLicense } = require("./upgrades.js");
+const payments = require("./payments.js");
+
+// Expiry moving out by more than this counts as a renewal in the audit trail
+const RENEWAL_MIN_EXTENSION_MS = 24 * 60 * 60 * 1000;
+
+// Run the handler for an event and record the outcome. Resolves to
+// { duplicate: true } if the event was already handled (unless `force`), or
+// { error } if the handler threw.
+async function processStripeEvent(event, { force = false } = {}) {
+  if (!eventLog.begin(event, { force })) {
+    metrics.webhookEvents.inc({ type: event.type, result: "duplicate" });
+    return { duplicate: true };
+  }
+
+  try {
+    await dispatchStripeEvent(event);
+    eventLog.succeed(event.id);
+    metrics.webhookEvents.inc({ type: event.type, result: "processed" });
+    return { duplicate: false };
+  } catch (error) {
+    logger.error("Webhook event failed", { eventId: event.id, eventType: event.type, error });
+    eventLog.fail(event.id, error);
+    metrics.webhookEvents.inc({ type: event.type, result: "failed" });
+    return { duplicate: false, error };
+  }
+}
+
+async function dispatchStripeEvent(event) {
+  switch (event.type) {
+    case "payment_intent.succeeded":
+      await handlePaymentIntentSucceeded(event.data.object);
+      break;
+    case "invoice.payment_succeeded":
+      await handleInvoicePaymentSucceeded(event.data.object);
+      break;
+    case "customer.subscription.created":
+    case "customer.subscription.updated":
+      await handleSubscriptionChanged(event.data.object, event.created);
+      break;
+    case "customer.subscription.deleted":
+      await handleSubscriptionDeleted(event.data.object, event.created);
+      break;
+    case "invoice.payment_failed":
+      await handleInvoicePaymentFailed(event.data.object);
+      break;
+    case "checkout.session.completed":
+    case "checkout.session.async_payment_succeeded":
+      await fulfillCheckoutSession(event.data.object);
+      break;
+    case "charge.refunded":
+      await handleChargeRefunded(event.data.object);
+      break;
+    case "charge.dispute.created":
+      await handleDisputeCreated(event.data.object);
+      break;
+    case "charge.dispute.closed":
+      await handleDisputeClosed(event.data.object);
+      break;
+    default:
+      logger.debug("Unhandled webhook event type", { eventId: event.id, eventType: event.type });
+  }
+}
+
+// License paid for by a Stripe charge (object or id). Lifetime licenses are
+// indexed by payment intent, annual ones by the invoice's subscription.
+async function findLicenseForCharge(chargeOrId) {
+  const charge =
+    typeof chargeOrId === "string" ? await payments.retrieveCharge(chargeOrId) : chargeOrId;
+
+  const byPaymentIntent =
+    charge.payment_intent && store.getLicenseByPaymentIntent(charge.payment_intent);
+  if (byPaymentIntent) return byPaymentIntent;
+
+  const subscriptionId =
+    charge.invoice && (await payments.getInvoiceSubscription(charge.invoice));
+  return subscriptionId ? store.getLicenseBySubscription(subscriptionId) : null;
+}
+
+async function handlePaymentIntentSucceeded(paymentIntent) {
+  // Subscription invoices are paid through payment intents too; those
+  // licenses come from invoice.payment_succeeded
+  if (paymentIntent.invoice) return;
+
+  if (paymentIntent.metadata?.upgradeLicenseKey) {
+    await handleUpgradePaymentSucceeded(paymentIntent);
+    return;
+  }
+  // Checkout purchases are issued from checkout.session.completed, which
+  // carries the customer's details
+  if (paymentIntent.metadata?.checkoutSession) return;
+
+  // Issued by /api/payments/license, which may not have got to the receipt
+  const existing = store.getLicenseByPaymentIntent(paymentIntent.id);
+  if (existing) {
+    await receipts.recordPaymentIntent(existing.key, paymentIntent.id);
+    return;
+  }
+
+  // Payment intents created before the plan catalog carry no plan; they
+  // were all lifetime purchases
+  const plan = getPlan(paymentIntent.metadata?.plan || "lifetime");
+  if (!plan || plan.billing !== "one_time") {
+    logger.warn("Payment intent is not for a one-time plan", { paymentIntentId: paymentIntent.id });
+    return;
+  }
+
+  const license = licenseForPlan(plan, {
+    name: paymentIntent.metadata?.name,
+    email: paymentIntent.metadata?.email,
+  });
+
+  const promoCode = paymentIntent.metadata?.promoCode || null;
+  const seats = parseInt(paymentIntent.metadata?.quantity || "1", 10);
+  const issued = store.issueLicense(license, {
+    paymentIntentId: paymentIntent.id,
+    customerId: paymentIntent.customer || null,
+    currency: paymentIntent.currency,
+    amount: paymentIntent.amount_received || paymentIntent.amount,
+    promoCode,
+    ...(plan.perSeat ? { seats } : {}),
+  });
+  if (issued.created && promoCode) promos.redeem(promoCode, paymentIntent.id);
+  notifyLicenseIssued(issued);
+  await receipts.recordPaymentIntent(issued.key, paymentIntent.id);
+}
+
+// Payment for upgrading an existing subscription license to a one-time plan
+// (throws if the license or plan can't be found, so the event stays failed
+// and can be replayed rather than losing a paid upgrade)
+async function handleUpgradePaymentSucceeded(paymentIntent) {
+  const stored = findUpgradedLicense({ paymentIntentId: paymentIntent.id, ...paymentIntent.metadata });
+  const plan = getPlan(paymentIntent.metadata.plan);
+  if (!stored || !plan) {
+    throw new Error(`Upgrade payment ${paymentIntent.id} has no matching license or plan`);
+  }
+  await completePurchasedUpgrade(stored, plan, paymentIntent.id, paymentIntent.amount_received || paymentIntent.amount);
+  await receipts.recordPaymentIntent(stored.key, paymentIntent.id);
+}
+
+async function handleInvoicePaymentSucceeded(invoice) {
+  const subscriptionId = invoice.subscription;
+  if (!subscriptionId) return;
+
+  const existing = store.getLicenseBySubscription(subscriptionId);
+  if (existing) {
+    // A successful retry ends a suspension caused by failed renewal payments
+    if (existing.status === "suspended" && existing.statusReason === "payment_failed") {
+      store.setLicenseStatus(existing.key, "active");
+    }
+    // What the current period cost, which upgrades credit back
+    if (invoice.billing_reason === "subscription_cycle") {
+      store.updateMetadata(existing.key, { amount: invoice.amount_paid, currency: invoice.currency });
+    }
+    // Every renewal gets its own receipt
+    receipts.recordInvoice(existing.key, invoice);
+    return;
+  }
+
+  const plan = planForInvoice(invoice);
+  if (!plan) {
+    logger.warn("Invoice is not for a plan in the catalog", { invoiceId: invoice.id });
+    return;
+  }
+
+  const license = licenseForPlan(plan, {
+    name: invoice.customer_name,
+    email: invoice.customer_email,
+  });
+
+  const promoCode = invoice.subscription_details?.metadata?.promoCode || null;
+  const seats = invoice.lines?.data?.[0]?.quantity || 1;
+  const issued = store.issueLicense(license, {
+    subscriptionId,
+    customerId: invoice.customer || null,
+    currency: invoice.currency,
+    amount: invoice.amount_paid,
+    promoCode,
+    ...(plan.perSeat ? { seats } : {}),
+  });
+  if (issued.created && promoCode) promos.redeem(promoCode, subscriptionId);
+  notifyLicenseIssued(issued);
+  receipts.recordInvoice(issued.key, invoice);
+}
+
+// Issue the license for a paid Checkout Session. Returns the issued record
+// (see LicenseStore#issueLicense), or null while the session is unpaid. Also
+// used by the success page, so whichever runs first issues the license.
+async function fulfillCheckoutSession(session) {
+  if (session.payment_status !== "paid" && session.payment_status !== "no_payment_required") {
+    return null;
+  }
+
+  const plan = getPlan(session.metadata?.plan);
+  if (!plan) {
+    logger.warn("Checkout session is not for a plan in the catalog", { sessionId: session.id });
+    return null;
+  }
+
+  const license = licenseForPlan(plan, {
+    name: session.customer_details?.name,
+    email: session.customer_details?.email,
+  });
+
+  const promoCode = session.metadata.promoCode || null;
+  const seats = parseInt(session.metadata.quantity || "1", 10);
+  const issued = store.issueLicense(license, {
+    ...(session.mode === "subscription"
+      ? { subscriptionId: session.subscription }
+      : { paymentIntentId: session.payment_intent }),
+    customerId: session.customer || null,
+    currency: session.currency,
+    amount: session.amount_total,
+    promoCode,
+    ...(plan.perSeat ? { seats } : {}),
+  });
+  if (issued.created && promoCode) promos.redeem(promoCode, session.id);
+  notifyLicenseIssued(issued);
+  receipts.recordCheckoutSession(issued.key, session);
+  return issued;
+}
+
+// Catalog plan an invoice was billed for, by the Stripe price on its first
+// line item, falling back to the plan recorded on the subscription
+function planForInvoice(invoice) {
+  const priceId = invoice.lines?.data?.[0]?.price?.id;
+  const metadataPlan = invoice.subscription_details?.metadata?.plan;
+  return (
+    (priceId && getPlanByPriceId(priceId)) ||
+    (metadataPlan && getPlan(metadataPlan)) ||
+    null
+  );
+}
+
+// Subscription events can be delivered out of order; skip any older than the
+// last one applied to the license
+function isStaleSubscriptionEvent(existing, eventCreated) {
+  const lastApplied = existing.metadata.subscriptionEventAt;
+  return Boolean(lastApplied && eventCreated && eventCreated < lastApplied);
+}
+
+async function handleSubscriptionChanged(subscription, eventCreated) {
+  const existing = store.getLicenseBySubscription(subscription.id);
+  if (!existing || isStaleSubscriptionEvent(existing, eventCreated)) return;
+
+  if (subscription.status === "active") {
+    // Follow price changes, whether made through /api/license/upgrade or in
+    // the Stripe dashboard
+    const pricePlan = getPlanByPriceId(subscription.items?.data?.[0]?.price?.id);
+    const updated = {
+      ...existing.license,
+      plan: pricePlan ? pricePlan.licensePlan : existing.license.plan,
+      expiresAt: new Date(subscription.current_period_end * 1000).toISOString(),
+    };
+    store.updateLicense(existing.key, updated);
+    store.updateMetadata(existing.key, { subscriptionEventAt: eventCreated });
+    // A new period, not just the first period's end being confirmed
+    if (new Date(updated.expiresAt) - new Date(existing.license.expiresAt) > RENEWAL_MIN_EXTENSION_MS) {
+      store.recordLicenseEvent("license.renewed", existing.key, { expiresAt: updated.expiresAt });
+    }
+
+    // Team subscriptions: follow seat changes made in Stripe, and carry the
+    // new expiry over to the members
+    const quantity = subscription.items?.data?.[0]?.quantity;
+    if (teams.isOwner(existing) && quantity && quantity !== existing.metadata.seats) {
+      teams.setSeatCount(existing.key, quantity);
+    }
+    teams.syncMembers(existing.key);
+  }
+}
+
+async function handleSubscriptionDeleted(subscription, eventCreated) {
+  const existing = store.getLicenseBySubscription(subscription.id);
+  if (!existing || isStaleSubscriptionEvent(existing, eventCreated)) return;
+
+  const updated = {
+    ...existing.license,
+    expiresAt: new Date().toISOString(),
+  };
+  store.updateLicense(existing.key, updated);
+  store.updateMetadata(existing.key, { subscriptionEventAt: eventCreated });
+  teams.syncMembers(existing.key);
+}
+
+async function handleInvoicePaymentFailed(invoice) {
+  if (!invoice.subscription) return;
+
+  const existing = store.getLicenseBySubscription(invoice.subscription);
+  if (!existing || existing.status === "revoked") return;
+
+  // Stripe retries failed renewals; only suspend once it has given up
+  if (invoice.next_payment_attempt) {
+    logger.info("Renewal payment failed, Stripe will retry", { licenseKey: existing.key });
+    return;
+  }
+  store.setLicenseStatus(existing.key, "suspended", "payment_failed");
+}
+
+async function handleChargeRefunded(charge) {
+  // Partial refunds (e.g. a goodwill credit) leave the license alone
+  if (!charge.refunded) return;
+
+  const existing = await findLicenseForCharge(charge);
+  if (!existing) return;
+  store.setLicenseStatus(existing.key, "revoked", "refunded");
+}
+
+async function handleDisputeCreated(dispute) {
+  const existing = await findLicenseForCharge(dispute.charge);
+  if (!existing || existing.status === "revoked") return;
+  store.setLicenseStatus(existing.key, "suspended", "dispute_open");
+}
+
+async function handleDisputeClosed(dispute) {
+  const existing = await findLicenseForCharge(dispute.charge);
+  if (!existing) return;
+
+  if (dispute.status === "lost") {
+    store.setLicenseStatus(existing.key, "revoked", "dispute_lost");
+  } else if (existing.statusReason === "dispute_open") {
+    // Won, or closed after an inquiry
+    store.setLicenseStatus(existing.key, "active");
+  }
+}
+
+module.exports = { processStripeEvent, fulfillCheckoutSession };